@@ -4,8 +4,16 @@ var owi535 = require('./lib/owi535');
 
 var arm = owi535.getArm();
 
-//rotate base clockwise for 1s
-arm.exec('base-clockwise', 1000);
+var fail = function(err) {
+  console.error(err.message);
+  process.exit(1);
+};
+
+//rotate base clockwise for 1s then raise the shoulder and the elbow for 500ms
+arm.exec('base-clockwise', 1000).catch(fail);
+arm.exec(['shoulder-up', 'elbow-up'], 500).then(function() {
+  console.log('done');
+}, fail);
 
 process.on('SIGINT', function() {
   arm.stop();
@@ -13,4 +21,4 @@ process.on('SIGINT', function() {
 });
 process.on('exit', function() {
   arm.stop();
-});
\ No newline at end of file
+});
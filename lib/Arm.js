@@ -1,26 +1,441 @@
 'use strict';
 
-var commands = require('../commands');
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
 
-var Arm = function(device) {
+var joints = require('./joints');
+var calibration = require('./calibration');
+
+//degrees kept between the default soft limits and the end stops
+var LIMIT_MARGIN = 5;
+//ms of a PWM cycle, slowed motors are only powered for part of it
+var PWM_PERIOD = 50;
+
+//options
+//  id: stable identifier, see owi535.getId
+//  calibration: profile used to estimate positions, see calibration.js
+//  limits: false to disable soft limits
+//emits
+//  command (names) when commands are applied
+//  stop (joints) when joints are stopped
+//  error (err) when a transfer fails, only if there are listeners
+//  limit ({joint, limit, position}) when a joint is stopped at one of its soft limits
+//  attach and detach when the device is plugged back in or unplugged, see owi535.watch
+var Arm = function(device, options) {
+  EventEmitter.call(this);
+  options = options || {};
   device.open();
   this.device = device;
+  this.id = options.id || null;
+  //command currently applied to each joint, null when idle
+  this.joints = {};
+  joints.names.forEach(function(name) {
+    this.joints[name] = null;
+  }, this);
+  //timed moves waiting for the current one to complete
+  this.queue = [];
+  this.move = null;
+  this.calibration = options.calibration || calibration.copy(calibration.defaults);
+  //estimated angle of each motor joint in degrees, 0 is the middle of its travel
+  //the arm is assumed to start there, see setPosition
+  this.positions = {};
+  joints.motors.forEach(function(name) {
+    this.positions[name] = 0;
+  }, this);
+  this.updated = Date.now();
+  this.limits = options.limits !== false;
+  //timers stopping running joints at their limit
+  this.limitTimers = {};
+  //timers of the current PWM cycle and joints unpowered until the next one
+  this.pwmTimers = [];
+  this.pwmOff = {};
 };
-Arm.prototype.exec = function(cmd, t) {
-  var c = Array.isArray(cmd) ? cmd : commands[cmd];
-  if (!c)
-    return new Error('unknown command');
+util.inherits(Arm, EventEmitter);
+//cmd is a command name or a list of command names to run simultaneously
+//joints not mentioned keep their current state
+//with t the move is queued, runs for t ms and then stops its joints
+//speed is a percentage of full speed for every motor or {joint: percentage}, default 100
+//returns a promise resolved once the move is complete
+//rejected for invalid commands, transfer errors or if the move is cancelled
+Arm.prototype.exec = function(cmd, t, speed) {
+  var list = joints.resolve(Array.isArray(cmd) ? cmd : [cmd]);
+  if (list instanceof Error)
+    return Promise.reject(list);
 
-  this.device.controlTransfer(0x40, 6, 0x100, 0, new Buffer(c));
-  if (t && c !== commands['stop']) {
-    var that = this;
-    setTimeout(function() {
-      that.stop();
-    }, t);
+  var invalid = joints.checkSpeed(speed);
+  if (invalid)
+    return Promise.reject(invalid);
+
+  if (!this.device)
+    return Promise.reject(new Error('arm is not connected'));
+
+  if (!list[0].joint)
+    return this.stop();
+
+  var speeds = {};
+  if (typeof speed === 'object') {
+    for (var name in speed)
+      speeds[joints.aliases[name] || name] = speed[name];
+  }
+  list.forEach(function(c) {
+    c.speed = typeof speed === 'number' ? speed : speeds[c.joint] || 100;
+  });
+
+  var that = this;
+  if (!t) {
+    var err = this.checkLimits(list);
+    if (err)
+      return Promise.reject(err);
+
+    return new Promise(function(resolve, reject) {
+      that.apply(list, function(err) {
+        if (err)
+          reject(err);
+        else
+          resolve();
+      });
+    });
   }
+
+  return new Promise(function(resolve, reject) {
+    that.queue.push({
+      list: list,
+      time: t,
+      resolve: resolve,
+      reject: reject
+    });
+    that.next();
+  });
 };
-Arm.prototype.stop = function() {
-  return this.exec('stop');
+//apply commands to the joints state and send it, see send for callback
+//returns the commands which started a motor or the light
+Arm.prototype.apply = function(list, callback) {
+  this.update();
+  var started = [];
+  list.forEach(function(c) {
+    if (joints.isZero(c.bytes)) {
+      this.joints[c.joint] = null;
+    }
+    else {
+      this.joints[c.joint] = c;
+      started.push(c);
+    }
+  }, this);
+  this.modulate();
+  this.send(callback);
+  this.watch();
+  this.emit('command', list.map(function(c) {
+    return c.name;
+  }));
+  return started;
+};
+//start the next queued move unless one is running
+Arm.prototype.next = function() {
+  if (this.move || this.queue.length === 0)
+    return;
+
+  var move = this.queue.shift();
+  var err = this.checkLimits(move.list);
+  if (err) {
+    move.reject(err);
+    return this.next();
+  }
+
+  var that = this;
+  this.move = move;
+  move.started = this.apply(move.list, function(err) {
+    if (!err || that.move !== move)
+      return;
+
+    that.end(move);
+    move.reject(err);
+    that.next();
+  });
+
+  move.timer = setTimeout(function() {
+    that.end(move);
+    move.resolve();
+    that.next();
+  }, move.time);
 };
+//stop the joints which are still running the move commands
+Arm.prototype.end = function(move) {
+  clearTimeout(move.timer);
+  this.move = null;
+
+  var names = move.started.filter(function(c) {
+    return this.joints[c.joint] === c;
+  }, this).map(function(c) {
+    return c.joint;
+  });
+  if (names.length > 0)
+    this.release(names);
+};
+//abort the current move and carry on with the queue
+Arm.prototype.cancel = function() {
+  var move = this.move;
+  if (!move)
+    return;
+
+  this.end(move);
+  move.reject(new Error('move cancelled'));
+  this.next();
+};
+//abort the current move and every queued one
+Arm.prototype.clear = function() {
+  var queue = this.queue;
+  this.queue = [];
+  queue.forEach(function(move) {
+    move.reject(new Error('move cancelled'));
+  });
+  this.cancel();
+};
+//stop a joint, a list of joints or every motor
+//stopping every motor also clears the queue
+//the light is left untouched unless explicitly named
+//returns a promise rejected for unknown joints or transfer errors
+Arm.prototype.stop = function(joint) {
+  var names = joint ? [].concat(joint) : joints.motors;
+  for (var i = 0; i < names.length; i++) {
+    if (!((joints.aliases[names[i]] || names[i]) in this.joints))
+      return Promise.reject(new Error('unknown joint ' + names[i]));
+  }
+
+  if (!joint)
+    this.clear();
+
+  var that = this;
+  return new Promise(function(resolve, reject) {
+    that.release(names, function(err) {
+      if (err)
+        reject(err);
+      else
+        resolve();
+    });
+  });
+};
+//set joints idle and send the new state, see send for callback
+Arm.prototype.release = function(names, callback) {
+  this.update();
+  names = names.map(function(name) {
+    return joints.aliases[name] || name;
+  });
+  names.forEach(function(name) {
+    this.joints[name] = null;
+  }, this);
+  this.modulate();
+  this.send(callback);
+  this.watch();
+  this.emit('stop', names);
+};
+//send the merged state of every joint
+//callback is called with the transfer error if any
+Arm.prototype.send = function(callback) {
+  var that = this;
+  var done = function(err) {
+    if (err && that.listeners('error').length > 0)
+      that.emit('error', err);
+    if (callback)
+      callback(err || null);
+  };
+
+  //unplugged, motors are not powered anyway
+  if (!this.device)
+    return done(null);
+
+  var active = [];
+  for (var name in this.joints) {
+    if (this.joints[name] && !this.pwmOff[name])
+      active.push(this.joints[name]);
+  }
+
+  try {
+    this.device.controlTransfer(0x40, 6, 0x100, 0, Buffer.from(joints.merge(active)), function(err) {
+      done(err);
+    });
+  }
+  catch (err) {
+    done(err);
+  }
+};
+//start a PWM cycle, joints running slower than full speed are unpowered
+//once they have run for their share of PWM_PERIOD, transfer errors emit error
+//called after any change to the joints state, before sending it
+Arm.prototype.modulate = function() {
+  this.pwmTimers.forEach(function(timer) {
+    clearTimeout(timer);
+  });
+  this.pwmTimers = [];
+  this.pwmOff = {};
+
+  var slowed = joints.motors.filter(function(name) {
+    return this.joints[name] && this.joints[name].speed < 100;
+  }, this);
+  if (slowed.length === 0)
+    return;
+
+  var that = this;
+  slowed.forEach(function(name) {
+    this.pwmTimers.push(setTimeout(function() {
+      that.pwmOff[name] = true;
+      that.send();
+    }, PWM_PERIOD * this.joints[name].speed / 100));
+  }, this);
+  this.pwmTimers.push(setTimeout(function() {
+    that.modulate();
+    that.send();
+  }, PWM_PERIOD));
+};
+//the device was unplugged, motors lost power
+Arm.prototype.detach = function() {
+  if (!this.device)
+    return;
+
+  this.update();
+  var queue = this.queue;
+  var move = this.move;
+  this.queue = [];
+  this.move = null;
+  if (move) {
+    clearTimeout(move.timer);
+    queue.unshift(move);
+  }
+  queue.forEach(function(m) {
+    m.reject(new Error('arm disconnected'));
+  });
+
+  for (var name in this.joints)
+    this.joints[name] = null;
+  this.modulate();
+  this.watch();
+  this.device = null;
+  this.emit('detach');
+};
+//the device was plugged back in
+Arm.prototype.attach = function(device) {
+  this.detach();
+  device.open();
+  this.device = device;
+  this.send();
+  this.emit('attach');
+};
+Object.defineProperty(Arm.prototype, 'connected', {
+  get: function() {
+    return this.device !== null;
+  }
+});
+//direction of each joint, null when idle
+Arm.prototype.getState = function() {
+  var state = {};
+  for (var name in this.joints)
+    state[name] = this.joints[name] ? this.joints[name].direction : null;
+  return state;
+};
+//degrees per second of a running command, slowed down by its speed
+Arm.prototype.getSpeed = function(c) {
+  var profile = this.calibration[c.joint];
+  var speed = (profile && profile.speed[c.canonical]) || 0;
+  return speed * (c.speed || 100) / 100;
+};
+//integrate the time motors have been running since the last update into positions
+//called before any change to the joints state
+Arm.prototype.update = function() {
+  var now = Date.now();
+  var dt = (now - this.updated) / 1000;
+  this.updated = now;
+
+  joints.motors.forEach(function(name) {
+    var c = this.joints[name];
+    if (!c)
+      return;
+
+    var position = this.positions[name] + c.sign * this.getSpeed(c) * dt;
+    //end stops
+    var profile = this.calibration[name];
+    if (profile) {
+      var half = profile.range / 2;
+      position = Math.max(-half, Math.min(half, position));
+    }
+    this.positions[name] = position;
+  }, this);
+};
+//set the estimated position of some joints, {base: 0} after centering the base
+Arm.prototype.setPosition = function(positions) {
+  this.update();
+  for (var name in positions) {
+    var joint = joints.aliases[name] || name;
+    if (!(joint in this.positions))
+      return new Error('unknown joint ' + name);
+  }
+  for (name in positions)
+    this.positions[joints.aliases[name] || name] = positions[name];
+  this.watch();
+};
+//soft limits of a joint, {min, max} in degrees or null
+//the calibration profile may define min and max for each joint
+Arm.prototype.getLimit = function(name) {
+  var profile = this.calibration[name];
+  if (!this.limits || !profile)
+    return null;
+
+  var half = profile.range / 2 - LIMIT_MARGIN;
+  return {
+    min: typeof profile.min === 'number' ? profile.min : -half,
+    max: typeof profile.max === 'number' ? profile.max : half
+  };
+};
+//returns an Error if a command would drive a joint further than its limit
+Arm.prototype.checkLimits = function(list) {
+  this.update();
+  for (var i = 0; i < list.length; i++) {
+    var c = list[i];
+    var limit = this.getLimit(c.joint);
+    if (!limit)
+      continue;
+
+    var position = this.positions[c.joint];
+    if (c.sign > 0 && position >= limit.max)
+      return new Error(c.joint + ' is at its max limit');
+    if (c.sign < 0 && position <= limit.min)
+      return new Error(c.joint + ' is at its min limit');
+  }
+};
+//schedule the stop of running joints when they reach their limit
+//called after any change to the joints state
+Arm.prototype.watch = function() {
+  for (var name in this.limitTimers)
+    clearTimeout(this.limitTimers[name]);
+  this.limitTimers = {};
+
+  joints.motors.forEach(function(name) {
+    var c = this.joints[name];
+    var limit = this.getLimit(name);
+    var speed = c && this.getSpeed(c);
+    if (!c || !limit || !speed)
+      return;
+
+    var target = c.sign > 0 ? 'max' : 'min';
+    var t = (limit[target] - this.positions[name]) * c.sign / speed * 1000;
+    var that = this;
+    this.limitTimers[name] = setTimeout(function() {
+      that.release([name]);
+      that.emit('limit', {
+        joint: name,
+        limit: target,
+        position: that.positions[name]
+      });
+    }, Math.max(t, 0));
+  }, this);
+};
+//estimated angle of each motor joint in degrees
+Object.defineProperty(Arm.prototype, 'position', {
+  get: function() {
+    this.update();
+    var position = {};
+    for (var name in this.positions)
+      position[name] = this.positions[name];
+    return position;
+  }
+});
 
-module.exports = Arm;
\ No newline at end of file
+module.exports = Arm;
@@ -0,0 +1,79 @@
+'use strict';
+
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+
+//grants control to one client at a time, the others wait in a queue
+//clients are any object, control passes to the next one on release
+//timeout is the ms of inactivity after which the holder loses control, 0 to disable
+//emits
+//  change (holder, queue) when the holder or the queue changes
+//  timeout (client) when the holder loses control for inactivity
+var ControlLock = function(timeout) {
+  EventEmitter.call(this);
+  this.timeout = timeout || 0;
+  this.holder = null;
+  this.queue = [];
+  this.timer = null;
+};
+util.inherits(ControlLock, EventEmitter);
+//returns true if client holds control, queues it otherwise
+ControlLock.prototype.request = function(client) {
+  if (this.holder === client) {
+    this.touch(client);
+    return true;
+  }
+
+  if (!this.holder) {
+    this.grant(client);
+    return true;
+  }
+
+  if (this.queue.indexOf(client) === -1) {
+    this.queue.push(client);
+    this.emit('change', this.holder, this.queue);
+  }
+  return false;
+};
+//give up control or leave the queue
+ControlLock.prototype.release = function(client) {
+  if (this.holder === client)
+    return this.grant(this.queue.shift() || null);
+
+  var i = this.queue.indexOf(client);
+  if (i === -1)
+    return;
+
+  this.queue.splice(i, 1);
+  this.emit('change', this.holder, this.queue);
+};
+ControlLock.prototype.grant = function(client) {
+  var i = this.queue.indexOf(client);
+  if (i !== -1)
+    this.queue.splice(i, 1);
+
+  this.holder = client;
+  this.touch(client);
+  this.emit('change', this.holder, this.queue);
+};
+//postpone the inactivity timeout of the holder
+ControlLock.prototype.touch = function(client) {
+  if (this.holder !== client)
+    return;
+
+  clearTimeout(this.timer);
+  if (!this.holder || !this.timeout)
+    return;
+
+  var that = this;
+  this.timer = setTimeout(function() {
+    that.emit('timeout', client);
+    that.release(client);
+  }, this.timeout);
+};
+//whether client may control the arm, anyone can while nobody holds control
+ControlLock.prototype.allows = function(client) {
+  return !this.holder || this.holder === client;
+};
+
+module.exports = ControlLock;
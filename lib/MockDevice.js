@@ -0,0 +1,52 @@
+'use strict';
+
+//in-memory stand-in for an OWI-535 usb device
+//records every control transfer instead of talking to hardware
+var MockDevice = function(options) {
+  options = options || {};
+  this.busNumber = options.busNumber || 1;
+  this.deviceAddress = options.deviceAddress || 1;
+  this.portNumbers = options.portNumbers || [1];
+  this.deviceDescriptor = {
+    idVendor: 0x1267,
+    idProduct: 0
+  };
+  this.opened = false;
+  this.attached = true;
+  //{time, bmRequestType, bRequest, wValue, wIndex, data}, oldest first
+  this.transfers = [];
+};
+MockDevice.prototype.open = function() {
+  if (!this.attached)
+    throw new Error('LIBUSB_ERROR_NO_DEVICE');
+  this.opened = true;
+};
+MockDevice.prototype.close = function() {
+  this.opened = false;
+};
+MockDevice.prototype.controlTransfer = function(bmRequestType, bRequest, wValue, wIndex, data, callback) {
+  if (!this.attached || !this.opened) {
+    var err = new Error(this.attached ? 'device not opened' : 'LIBUSB_ERROR_NO_DEVICE');
+    if (callback)
+      setImmediate(callback, err);
+    return;
+  }
+
+  this.transfers.push({
+    time: Date.now(),
+    bmRequestType: bmRequestType,
+    bRequest: bRequest,
+    wValue: wValue,
+    wIndex: wIndex,
+    data: Array.prototype.slice.call(data)
+  });
+  if (callback)
+    setImmediate(callback, null);
+};
+//last bytes sent, [0, 0, 0] before any transfer
+MockDevice.prototype.getBytes = function() {
+  var last = this.transfers[this.transfers.length - 1];
+  return last ? last.data : [0, 0, 0];
+};
+
+module.exports = MockDevice;
@@ -0,0 +1,148 @@
+'use strict';
+
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+
+var joints = require('./joints');
+var flatten = require('./sequence').flatten;
+
+//runs a parsed sequence on an arm, see sequence.parse
+//replayed sessions also have stop steps, see session.toSequence
+//emits
+//  step (step, index, total) when a step starts
+//  progress (done, total) when a step completes
+//  pause, resume, abort and end
+var SequenceRunner = function(arm, sequence) {
+  EventEmitter.call(this);
+  this.arm = arm;
+  this.steps = flatten(sequence);
+  this.index = 0;
+  //idle, running, paused, aborted, failed or done
+  this.state = 'idle';
+  //identifies the current play so that stale callbacks are ignored
+  this.playing = 0;
+  this.timer = null;
+  //ms left for the current step
+  this.remaining = 0;
+  //motor commands running when paused
+  this.paused = [];
+};
+util.inherits(SequenceRunner, EventEmitter);
+
+//returns a promise resolved once every step has been run
+SequenceRunner.prototype.start = function() {
+  if (this.state !== 'idle')
+    return Promise.reject(new Error('sequence already started'));
+
+  var that = this;
+  return new Promise(function(resolve, reject) {
+    that.resolve = resolve;
+    that.reject = reject;
+    that.state = 'running';
+    that.run();
+  });
+};
+SequenceRunner.prototype.run = function() {
+  if (this.index >= this.steps.length) {
+    this.state = 'done';
+    this.emit('end');
+    return this.resolve();
+  }
+
+  var step = this.steps[this.index];
+  this.emit('step', step, this.index, this.steps.length);
+  this.play(step, step.do ? step.for : step.wait || 0);
+};
+SequenceRunner.prototype.play = function(step, time) {
+  var id = ++this.playing;
+  var that = this;
+  var done = function() {
+    if (that.playing !== id)
+      return;
+
+    that.index++;
+    that.emit('progress', that.index, that.steps.length);
+    that.run();
+  };
+  var fail = function(err) {
+    if (that.playing !== id)
+      return;
+
+    that.playing++;
+    that.state = 'failed';
+    that.arm.stop().catch(ignore);
+    that.reject(err);
+  };
+
+  this.started = Date.now();
+  this.remaining = time;
+
+  if (step.do)
+    this.arm.exec(step.do, time, step.speed).then(done, fail);
+  else if (step.stop)
+    this.arm.stop(step.stop).then(done, fail);
+  else
+    this.timer = setTimeout(done, time);
+};
+//stop the arm, the current step carries on where it was left on resume
+SequenceRunner.prototype.pause = function() {
+  if (this.state !== 'running')
+    return;
+
+  this.playing++;
+  this.state = 'paused';
+  clearTimeout(this.timer);
+  this.remaining = Math.max(this.remaining - (Date.now() - this.started), 0);
+
+  var arm = this.arm;
+  this.paused = joints.motors.filter(function(name) {
+    return arm.joints[name];
+  }).map(function(name) {
+    return arm.joints[name];
+  });
+  arm.stop().catch(ignore);
+  this.emit('pause');
+};
+SequenceRunner.prototype.resume = function() {
+  if (this.state !== 'paused')
+    return;
+
+  this.state = 'running';
+  if (this.paused.length > 0) {
+    var speed = {};
+    this.paused.forEach(function(c) {
+      speed[c.joint] = c.speed;
+    });
+    this.arm.exec(this.paused.map(function(c) {
+      return c.name;
+    }), 0, speed).catch(ignore);
+  }
+  this.paused = [];
+  this.emit('resume');
+
+  var step = this.steps[this.index];
+  //untimed do and stop steps are simply applied again
+  if ((step.do && !step.for) || step.stop)
+    this.play(step, 0);
+  else if (this.remaining > 0)
+    this.play(step, this.remaining);
+  else
+    this.play({wait: 0}, 0);
+};
+//stop the arm and reject the start promise
+SequenceRunner.prototype.abort = function() {
+  if (this.state !== 'running' && this.state !== 'paused')
+    return;
+
+  this.playing++;
+  this.state = 'aborted';
+  clearTimeout(this.timer);
+  this.arm.stop().catch(ignore);
+  this.emit('abort');
+  this.reject(new Error('sequence aborted'));
+};
+
+//transfer errors are reported by the arm error event
+var ignore = function() {};
+
+module.exports = SequenceRunner;
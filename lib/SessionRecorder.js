@@ -0,0 +1,51 @@
+'use strict';
+
+var EventEmitter = require('events').EventEmitter;
+var fs = require('fs');
+var util = require('util');
+
+//writes messages to a session file, one JSON object per line
+//{"time": ms since the recording started, "method": "do", "payload": ..., "arm": id}
+//emits
+//  open once the file is created
+//  error (err) when the file cannot be created or written, nothing is recorded after
+var SessionRecorder = function(file) {
+  EventEmitter.call(this);
+  this.file = file;
+  this.failed = false;
+  this.stream = fs.createWriteStream(file);
+  this.started = process.hrtime();
+
+  var that = this;
+  this.stream.on('open', function() {
+    that.emit('open');
+  });
+  this.stream.on('error', function(err) {
+    that.failed = true;
+    that.emit('error', err);
+  });
+};
+util.inherits(SessionRecorder, EventEmitter);
+//arm is the id of the arm the message was sent to, optional
+SessionRecorder.prototype.record = function(method, payload, arm) {
+  if (this.failed)
+    return;
+
+  var t = process.hrtime(this.started);
+  var e = {
+    time: Math.round((t[0] * 1e3 + t[1] / 1e6) * 1e3) / 1e3,
+    method: method,
+    payload: payload
+  };
+  if (arm)
+    e.arm = arm;
+  this.stream.write(JSON.stringify(e) + '\n');
+};
+SessionRecorder.prototype.close = function(callback) {
+  if (!this.failed)
+    return this.stream.end(callback);
+  if (callback)
+    setImmediate(callback);
+};
+
+module.exports = SessionRecorder;
@@ -0,0 +1,98 @@
+'use strict';
+
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+
+var joints = require('./joints');
+
+//terminals send no key release, a key is held as long as it keeps repeating
+//the first repeat comes after the keyboard delay, usually 250 to 600ms
+var FIRST_REPEAT_TIMEOUT = 700;
+//then repeats come at the keyboard rate, usually 25 to 30 per second
+var REPEAT_TIMEOUT = 150;
+
+//drives an arm with keypresses, see keymap.js
+//emits
+//  command (name) when a key starts a command
+//  release (name) when a key is released
+//  stop when every motor is stopped
+//  quit when the quit key is pressed
+//  error (err) when a command fails
+var Teleop = function(arm, keymap) {
+  EventEmitter.call(this);
+  this.arm = arm;
+  this.keymap = keymap;
+  //keys held down, by name, {command, timer}
+  this.held = {};
+};
+util.inherits(Teleop, EventEmitter);
+//key is the name of a key, called for the first press and every repeat
+Teleop.prototype.press = function(key) {
+  var action = this.keymap[key];
+  if (!action)
+    return;
+
+  if (action === 'quit')
+    return this.emit('quit');
+  if (action === 'stop')
+    return this.stop().catch(this.fail.bind(this));
+  if (action === 'light')
+    return this.toggleLight();
+
+  var that = this;
+  var held = this.held[key];
+  if (held) {
+    clearTimeout(held.timer);
+    held.timer = setTimeout(function() {
+      that.release(key);
+    }, REPEAT_TIMEOUT);
+    return;
+  }
+
+  held = this.held[key] = {
+    command: action,
+    timer: setTimeout(function() {
+      that.release(key);
+    }, FIRST_REPEAT_TIMEOUT)
+  };
+  this.arm.exec(action).catch(function(err) {
+    if (that.held[key] === held)
+      that.release(key);
+    that.fail(err);
+  });
+  this.emit('command', action);
+};
+//stop the joint of a released key unless another key took it over
+Teleop.prototype.release = function(key) {
+  var held = this.held[key];
+  if (!held)
+    return;
+
+  clearTimeout(held.timer);
+  delete this.held[key];
+  this.emit('release', held.command);
+
+  var c = joints.parse(held.command);
+  var current = c.joint && this.arm.joints[c.joint];
+  if (current && current.name === held.command)
+    this.arm.stop(c.joint).catch(this.fail.bind(this));
+};
+Teleop.prototype.toggleLight = function() {
+  var cmd = this.arm.joints.light ? 'light-off' : 'light-on';
+  this.arm.exec(cmd).catch(this.fail.bind(this));
+  this.emit('command', cmd);
+};
+//forget held keys and stop every motor, returns a promise, see Arm.prototype.stop
+Teleop.prototype.stop = function() {
+  for (var key in this.held)
+    clearTimeout(this.held[key].timer);
+  this.held = {};
+  this.emit('stop');
+  return this.arm.stop();
+};
+Teleop.prototype.fail = function(err) {
+  if (this.listeners('error').length > 0)
+    this.emit('error', err);
+};
+
+module.exports = Teleop;
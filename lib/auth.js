@@ -0,0 +1,155 @@
+'use strict';
+
+var crypto = require('crypto');
+var fs = require('fs');
+
+var home = require('./home');
+
+//server credentials, for instance
+//  {
+//    "tokens": {"8f1c0f2e": "viewer"},
+//    "users": {"sonny": {"salt": "9d0c...", "hash": "51aa...", "role": "admin"}}
+//  }
+//passwords are stored as scrypt keys derived with a salt, see hash
+//viewers watch the arm, operators move it and admins change the server configuration
+var roles = ['viewer', 'operator', 'admin'];
+
+//length in bytes of the salts and of the keys derived from passwords
+var SALT_LENGTH = 16;
+var KEY_LENGTH = 32;
+
+var getFile = function() {
+  return home('auth.json');
+};
+
+//returns null if there is no default file, authentication is then disabled
+//and an Error if the file is missing or invalid
+var load = function(file) {
+  var given = Boolean(file);
+  file = file || getFile();
+
+  var credentials;
+  try {
+    credentials = JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+  catch (err) {
+    if (err.code === 'ENOENT' && !given)
+      return null;
+    return new Error(file + ': ' + err.message);
+  }
+
+  var err = validate(credentials);
+  if (err)
+    return new Error(file + ': ' + err.message);
+
+  return {
+    tokens: credentials.tokens || {},
+    users: credentials.users || {}
+  };
+};
+
+var validate = function(credentials) {
+  if (!credentials || typeof credentials !== 'object')
+    return new Error('credentials must be an object');
+
+  var tokens = credentials.tokens || {};
+  for (var token in tokens) {
+    if (roles.indexOf(tokens[token]) === -1)
+      return new Error('unknown role ' + tokens[token] + ' for token ' + token);
+  }
+
+  var users = credentials.users || {};
+  for (var name in users) {
+    var user = users[name];
+    if (user && 'password' in user)
+      return new Error('plaintext password for user ' + name + ', store its hash given by owi535 password instead');
+    if (!user || typeof user.salt !== 'string' || !isKey(user.hash))
+      return new Error('missing salt or hash for user ' + name);
+    if (roles.indexOf(user.role) === -1)
+      return new Error('unknown role ' + user.role + ' for user ' + name);
+  }
+};
+
+var isKey = function(hex) {
+  return typeof hex === 'string' && hex.length === KEY_LENGTH * 2 && /^[0-9a-f]+$/i.test(hex);
+};
+
+//derive the key stored for a password with a new salt
+//callback is called with an Error or {salt, hash}, both hexadecimal
+var hash = function(password, callback) {
+  var salt = crypto.randomBytes(SALT_LENGTH).toString('hex');
+  crypto.scrypt(String(password), salt, KEY_LENGTH, function(err, key) {
+    if (err)
+      return callback(err);
+    callback(null, {
+      salt: salt,
+      hash: key.toString('hex')
+    });
+  });
+};
+
+//compare secrets in constant time
+var equals = function(a, b) {
+  var hash = function(s) {
+    return crypto.createHash('sha256').update(String(s)).digest();
+  };
+  return crypto.timingSafeEqual(hash(a), hash(b));
+};
+
+//callback is called with the role granted by {token} or {user, password}, null if none
+var authenticate = function(credentials, given, callback) {
+  if (!given)
+    return callback(null);
+
+  if (typeof given.token === 'string') {
+    for (var token in credentials.tokens) {
+      if (equals(token, given.token))
+        return callback(credentials.tokens[token]);
+    }
+    return callback(null);
+  }
+
+  var user = typeof given.user === 'string' && credentials.users.hasOwnProperty(given.user) ?
+    credentials.users[given.user] : null;
+  if (!user || typeof given.password !== 'string')
+    return callback(null);
+
+  crypto.scrypt(given.password, user.salt, KEY_LENGTH, function(err, key) {
+    callback(!err && crypto.timingSafeEqual(key, Buffer.from(user.hash, 'hex')) ? user.role : null);
+  });
+};
+
+//credentials from an HTTP Authorization header, Bearer <token> or Basic
+var parseHeader = function(header) {
+  var match = /^(Bearer|Basic) (.+)$/i.exec(header || '');
+  if (!match)
+    return null;
+
+  if (match[1].toLowerCase() === 'bearer')
+    return {token: match[2]};
+
+  var decoded = Buffer.from(match[2], 'base64').toString('utf8');
+  var i = decoded.indexOf(':');
+  if (i === -1)
+    return null;
+  return {
+    user: decoded.substr(0, i),
+    password: decoded.substr(i + 1)
+  };
+};
+
+//whether role grants what required does
+var can = function(role, required) {
+  return roles.indexOf(role) !== -1 && roles.indexOf(role) >= roles.indexOf(required);
+};
+
+module.exports = {
+  roles: roles,
+  getFile: getFile,
+  load: load,
+  validate: validate,
+  hash: hash,
+  authenticate: authenticate,
+  parseHeader: parseHeader,
+  can: can
+};
@@ -0,0 +1,42 @@
+'use strict';
+
+var EventEmitter = require('events').EventEmitter;
+var MockDevice = require('../MockDevice');
+
+//emits attach and detach, see attach and detach to simulate hotplug
+var backend = new EventEmitter();
+
+//fake devices, created on first use
+//OWI535_MOCK_ARMS is the number of devices, default 1
+var devices = [];
+
+backend.devices = devices;
+backend.getDeviceList = function() {
+  if (devices.length === 0) {
+    var count = parseInt(process.env.OWI535_MOCK_ARMS, 10) || 1;
+    for (var i = 0; i < count; i++) {
+      devices.push(new MockDevice({
+        deviceAddress: i + 1,
+        portNumbers: [i + 1]
+      }));
+    }
+  }
+  return devices.slice();
+};
+backend.watch = function() {};
+backend.unwatch = function() {};
+//plug a device
+backend.attach = function(device) {
+  device.attached = true;
+  devices.push(device);
+  backend.emit('attach', device);
+};
+//unplug a device
+backend.detach = function(device) {
+  device.attached = false;
+  device.opened = false;
+  devices.splice(devices.indexOf(device), 1);
+  backend.emit('detach', device);
+};
+
+module.exports = backend;
@@ -0,0 +1,44 @@
+'use strict';
+
+var EventEmitter = require('events').EventEmitter;
+
+var VENDOR_ID = 0x1267;
+var PRODUCT_ID = 0;
+
+var isArm = function(d) {
+  return (d.deviceDescriptor.idVendor === VENDOR_ID && d.deviceDescriptor.idProduct === PRODUCT_ID);
+};
+
+//emits attach and detach for arms while watching
+var backend = new EventEmitter();
+
+var onAttach = function(d) {
+  if (isArm(d))
+    backend.emit('attach', d);
+};
+var onDetach = function(d) {
+  if (isArm(d))
+    backend.emit('detach', d);
+};
+
+backend.VENDOR_ID = VENDOR_ID;
+backend.PRODUCT_ID = PRODUCT_ID;
+backend.isArm = isArm;
+backend.getDeviceList = function() {
+  //required lazily so the mock backend works without libusb
+  var usb = require('usb');
+  return usb.getDeviceList().filter(isArm);
+};
+//hotplug detection keeps the process running until unwatch
+backend.watch = function() {
+  var usb = require('usb').usb;
+  usb.on('attach', onAttach);
+  usb.on('detach', onDetach);
+};
+backend.unwatch = function() {
+  var usb = require('usb').usb;
+  usb.removeListener('attach', onAttach);
+  usb.removeListener('detach', onDetach);
+};
+
+module.exports = backend;
@@ -0,0 +1,88 @@
+'use strict';
+
+//interactive calibration, times full sweeps of each joint between its end stops
+//resolves with the updated profile, the arm is left with its joints centered
+
+var joints = require('./joints');
+var calibration = require('./calibration');
+
+var calibrate = function(arm, rl, names) {
+  var profile = calibration.copy(arm.calibration);
+
+  var ask = function(question) {
+    return new Promise(function(resolve) {
+      rl.question(question, resolve);
+    });
+  };
+
+  //run cmd until enter is pressed, resolves with the number of seconds it ran
+  var sweep = function(cmd) {
+    var started = Date.now();
+    return arm.exec(cmd).then(function() {
+      return ask('');
+    }).then(function() {
+      var t = (Date.now() - started) / 1000;
+      return arm.stop().then(function() {
+        return t;
+      });
+    });
+  };
+
+  var joint = function(name) {
+    var p = profile[name];
+    var positive = name + '-' + joints.directions[name][0].name;
+    var negative = name + '-' + joints.directions[name][1].name;
+
+    return ask(name + ' range in degrees, s to skip [' + p.range + ']: ').then(function(answer) {
+      if (answer.trim() === 's')
+        return;
+
+      var range = parseFloat(answer);
+      if (range > 0)
+        p.range = range;
+
+      return ask('Press enter to run ' + negative + ', then enter again as soon as it reaches its end stop.').then(function() {
+        return sweep(negative);
+      }).then(function() {
+        return ask('Press enter to start timing ' + positive + ', then enter again as soon as it reaches the other end stop.');
+      }).then(function() {
+        return sweep(positive);
+      }).then(function(t) {
+        p.speed[joints.directions[name][0].name] = Math.round(p.range / t * 100) / 100;
+        return ask('Press enter to start timing ' + negative + ', then enter again as soon as it reaches the other end stop.');
+      }).then(function() {
+        return sweep(negative);
+      }).then(function(t) {
+        p.speed[joints.directions[name][1].name] = Math.round(p.range / t * 100) / 100;
+
+        arm.calibration = profile;
+        arm.setPosition(makePosition(name, -p.range / 2));
+        return arm.exec(positive, p.range / 2 / p.speed[joints.directions[name][0].name] * 1000);
+      });
+    });
+  };
+
+  //sweeps go from one end stop to the other
+  var limits = arm.limits;
+  arm.limits = false;
+
+  return (names || joints.motors).reduce(function(promise, name) {
+    return promise.then(function() {
+      return joint(name);
+    });
+  }, Promise.resolve()).then(function() {
+    arm.limits = limits;
+    return profile;
+  }, function(err) {
+    arm.limits = limits;
+    throw err;
+  });
+};
+
+var makePosition = function(name, value) {
+  var position = {};
+  position[name] = value;
+  return position;
+};
+
+module.exports = calibrate;
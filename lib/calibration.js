@@ -0,0 +1,119 @@
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+
+var home = require('./home');
+
+//calibration profile, for each motor joint
+//  range: the travel between both end stops, in degrees
+//  speed: degrees per second for each direction, see joints.directions
+//  min and max: optional soft limits in degrees, see Arm.prototype.getLimit
+//the defaults are rough figures for a fresh set of batteries
+var defaults = {
+  base: {
+    range: 270,
+    speed: {
+      'anti-clockwise': 20,
+      'clockwise': 20
+    }
+  },
+  shoulder: {
+    range: 180,
+    speed: {
+      up: 15,
+      down: 18
+    }
+  },
+  elbow: {
+    range: 300,
+    speed: {
+      up: 22,
+      down: 25
+    }
+  },
+  wrist: {
+    range: 120,
+    speed: {
+      up: 30,
+      down: 30
+    }
+  },
+  grip: {
+    range: 45,
+    speed: {
+      open: 20,
+      close: 20
+    }
+  }
+};
+
+var copy = function(profile) {
+  return JSON.parse(JSON.stringify(profile));
+};
+
+var getFile = function() {
+  return home('calibration.json');
+};
+
+//load a profile, missing figures are taken from the defaults
+//returns the defaults if there is no file and an Error if it is invalid
+var load = function(file) {
+  file = file || getFile();
+  var profile = copy(defaults);
+
+  var saved;
+  try {
+    saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+  catch (err) {
+    if (err.code === 'ENOENT')
+      return profile;
+    return new Error(file + ': ' + err.message);
+  }
+
+  var isObject = function(o) {
+    return typeof o === 'object' && o !== null && !Array.isArray(o);
+  };
+  if (!isObject(saved))
+    return new Error(file + ': profile must be an object');
+
+  for (var joint in saved) {
+    if (!profile[joint])
+      continue;
+    if (!isObject(saved[joint]))
+      return new Error(file + ': ' + joint + ' must be an object');
+    if (saved[joint].speed !== undefined && !isObject(saved[joint].speed))
+      return new Error(file + ': speed of ' + joint + ' must be an object');
+
+    var keys = ['range', 'min', 'max'];
+    for (var i = 0; i < keys.length; i++) {
+      if (typeof saved[joint][keys[i]] === 'number')
+        profile[joint][keys[i]] = saved[joint][keys[i]];
+    }
+    for (var direction in saved[joint].speed) {
+      if (typeof saved[joint].speed[direction] === 'number')
+        profile[joint].speed[direction] = saved[joint].speed[direction];
+    }
+  }
+
+  return profile;
+};
+
+var save = function(profile, file, callback) {
+  file = file || getFile();
+  fs.mkdir(path.dirname(file), function(err) {
+    if (err && err.code !== 'EEXIST')
+      return callback(err);
+
+    fs.writeFile(file, JSON.stringify(profile, null, 2) + '\n', callback);
+  });
+};
+
+module.exports = {
+  defaults: defaults,
+  copy: copy,
+  getFile: getFile,
+  load: load,
+  save: save
+};
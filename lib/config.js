@@ -0,0 +1,39 @@
+'use strict';
+
+var fs = require('fs');
+
+var home = require('./home');
+
+//server configuration, any of the server.js options such as
+//  {"host": "192.168.1.10", "port": 80, "arm": "1-1.4"}
+//flags given to server.js take precedence
+
+var getFile = function() {
+  return home('server.json');
+};
+
+//returns {} if there is no default file and an Error if the file is missing or invalid
+var load = function(file) {
+  var given = Boolean(file);
+  file = file || getFile();
+
+  var config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+  catch (err) {
+    if (err.code === 'ENOENT' && !given)
+      return {};
+    return new Error(file + ': ' + err.message);
+  }
+
+  if (!config || typeof config !== 'object' || Array.isArray(config))
+    return new Error(file + ': configuration must be an object');
+
+  return config;
+};
+
+module.exports = {
+  getFile: getFile,
+  load: load
+};
@@ -0,0 +1,10 @@
+'use strict';
+
+var path = require('path');
+
+//path of a file in ~/.owi535, where the user settings, credentials and history are kept
+var home = function(name) {
+  return path.join(process.env.HOME || process.env.USERPROFILE || '.', '.owi535', name);
+};
+
+module.exports = home;
@@ -0,0 +1,177 @@
+'use strict';
+
+var commands = require('../commands');
+
+//joints sharing the same bits
+var aliases = {
+  'hand': 'grip'
+};
+
+//slowest motor speed in percent of full speed, motors stall below
+var MIN_SPEED = 10;
+
+var isSame = function(a, b) {
+  return a[0] === b[0] && a[1] === b[1] && a[2] === b[2];
+};
+
+var isZero = function(bytes) {
+  return isSame(bytes, [0, 0, 0]);
+};
+
+//split a command name into its joint and direction
+var split = function(name) {
+  var i = name.indexOf('-');
+  if (i === -1)
+    return null;
+
+  var joint = name.substr(0, i);
+  return {
+    joint: aliases[joint] || joint,
+    direction: name.substr(i + 1)
+  };
+};
+
+//directions of each joint, first command in commands order wins for identical bytes
+//the first direction is the positive one
+var directions = {};
+Object.keys(commands).forEach(function(name) {
+  var s = split(name);
+  if (!s || isZero(commands[name]))
+    return;
+
+  var list = directions[s.joint] = directions[s.joint] || [];
+  for (var i = 0; i < list.length; i++) {
+    if (isSame(list[i].bytes, commands[name]))
+      return;
+  }
+  list.push({
+    name: s.direction,
+    bytes: commands[name]
+  });
+});
+
+//parse a command name into its joint, direction and bytes
+//canonical is the direction without alias, sign is 1 for the positive direction, -1 otherwise
+//joint is null for commands not bound to a joint, such as stop
+var parse = function(name) {
+  if (typeof name !== 'string' || !commands.hasOwnProperty(name))
+    return null;
+
+  var c = {
+    name: name,
+    joint: null,
+    direction: null,
+    canonical: null,
+    sign: 0,
+    bytes: commands[name]
+  };
+
+  var s = split(name);
+  if (!s)
+    return c;
+
+  c.joint = s.joint;
+  c.direction = s.direction;
+  (directions[s.joint] || []).forEach(function(d, i) {
+    if (isSame(d.bytes, c.bytes)) {
+      c.canonical = d.name;
+      c.sign = i === 0 ? 1 : -1;
+    }
+  });
+
+  return c;
+};
+
+//parse a list of command names to run simultaneously
+//returns an Error for unknown or contradictory commands
+var resolve = function(names) {
+  var list = [];
+  var seen = {};
+  var stop = false;
+
+  for (var i = 0; i < names.length; i++) {
+    var c = parse(names[i]);
+    if (!c)
+      return new Error('unknown command ' + names[i]);
+
+    if (!c.joint) {
+      stop = true;
+      continue;
+    }
+
+    var other = seen[c.joint];
+    if (other && !isSame(other.bytes, c.bytes))
+      return new Error(other.name + ' contradicts ' + c.name);
+
+    seen[c.joint] = c;
+    list.push(c);
+  }
+
+  if (stop && list.length > 0)
+    return new Error('stop cannot be combined with other commands');
+
+  if (stop)
+    list.push(parse('stop'));
+
+  return list;
+};
+
+//merge commands bytes into a single bytes array
+var merge = function(list) {
+  var bytes = [0, 0, 0];
+  list.forEach(function(c) {
+    for (var i = 0; i < 3; i++)
+      bytes[i] |= c.bytes[i];
+  });
+  return bytes;
+};
+
+//joint names in commands order
+var names = [];
+Object.keys(commands).forEach(function(name) {
+  var c = parse(name);
+  if (c.joint && names.indexOf(c.joint) === -1)
+    names.push(c.joint);
+});
+
+//joints driven by a motor
+var motors = names.filter(function(name) {
+  return name !== 'light';
+});
+
+//returns an Error unless speed is a percentage of full speed
+//or {joint: percentage} for some motor joints, undefined being full speed
+var checkSpeed = function(speed) {
+  if (speed === undefined)
+    return;
+
+  var isPercentage = function(n) {
+    return typeof n === 'number' && n >= MIN_SPEED && n <= 100;
+  };
+  if (typeof speed !== 'object' || speed === null || Array.isArray(speed)) {
+    if (!isPercentage(speed))
+      return new Error('speed must be between ' + MIN_SPEED + ' and 100');
+    return;
+  }
+
+  for (var name in speed) {
+    if (motors.indexOf(aliases[name] || name) === -1)
+      return new Error('unknown joint ' + name);
+    if (!isPercentage(speed[name]))
+      return new Error('speed of ' + name + ' must be between ' + MIN_SPEED + ' and 100');
+  }
+};
+
+module.exports = {
+  MIN_SPEED: MIN_SPEED,
+  aliases: aliases,
+  names: names,
+  motors: motors,
+  directions: directions,
+  parse: parse,
+  resolve: resolve,
+  merge: merge,
+  isSame: isSame,
+  isZero: isZero,
+  checkSpeed: checkSpeed
+};
@@ -0,0 +1,202 @@
+'use strict';
+
+//JSON parser which keeps track of where each value is in the source
+//returns {value, positions} where positions maps a path such as
+//'steps/0/do' to its {line, column}, both starting at 1
+//returns an Error with line and column properties for invalid JSON
+
+var escapes = {
+  '"': '"',
+  '\\': '\\',
+  '/': '/',
+  'b': '\b',
+  'f': '\f',
+  'n': '\n',
+  'r': '\r',
+  't': '\t'
+};
+
+var Parser = function(text) {
+  this.text = text;
+  this.index = 0;
+  this.line = 1;
+  this.column = 1;
+  this.positions = {};
+};
+Parser.prototype.error = function(message) {
+  var err = new Error('line ' + this.line + ', column ' + this.column + ': ' + message);
+  err.line = this.line;
+  err.column = this.column;
+  return err;
+};
+Parser.prototype.peek = function() {
+  return this.text[this.index];
+};
+Parser.prototype.next = function() {
+  var c = this.text[this.index++];
+  if (c === '\n') {
+    this.line++;
+    this.column = 1;
+  }
+  else {
+    this.column++;
+  }
+  return c;
+};
+Parser.prototype.expect = function(c) {
+  if (this.peek() !== c)
+    throw this.error(this.describe() + ', expected \'' + c + '\'');
+  this.next();
+};
+Parser.prototype.describe = function() {
+  var c = this.peek();
+  return c === undefined ? 'unexpected end of input' : 'unexpected \'' + c + '\'';
+};
+Parser.prototype.white = function() {
+  while (/\s/.test(this.peek() || ''))
+    this.next();
+};
+Parser.prototype.value = function(path) {
+  this.white();
+  this.positions[path] = {
+    line: this.line,
+    column: this.column
+  };
+
+  var c = this.peek();
+  var v;
+  if (c === '{')
+    v = this.object(path);
+  else if (c === '[')
+    v = this.array(path);
+  else if (c === '"')
+    v = this.string();
+  else if (c === '-' || (c >= '0' && c <= '9'))
+    v = this.number();
+  else
+    v = this.word();
+
+  this.white();
+  return v;
+};
+Parser.prototype.object = function(path) {
+  var obj = {};
+  this.expect('{');
+  this.white();
+  if (this.peek() === '}') {
+    this.next();
+    return obj;
+  }
+
+  for (;;) {
+    this.white();
+    if (this.peek() !== '"')
+      throw this.error(this.describe() + ', expected a property name');
+    var key = this.string();
+    this.white();
+    this.expect(':');
+    obj[key] = this.value(path ? path + '/' + key : key);
+    if (this.peek() === '}') {
+      this.next();
+      return obj;
+    }
+    this.expect(',');
+  }
+};
+Parser.prototype.array = function(path) {
+  var arr = [];
+  this.expect('[');
+  this.white();
+  if (this.peek() === ']') {
+    this.next();
+    return arr;
+  }
+
+  for (;;) {
+    arr.push(this.value(path ? path + '/' + arr.length : String(arr.length)));
+    if (this.peek() === ']') {
+      this.next();
+      return arr;
+    }
+    this.expect(',');
+  }
+};
+Parser.prototype.string = function() {
+  var str = '';
+  this.expect('"');
+  for (;;) {
+    var c = this.peek();
+    if (c === undefined || c === '\n')
+      throw this.error('unterminated string');
+    this.next();
+    if (c === '"')
+      return str;
+    if (c !== '\\') {
+      str += c;
+      continue;
+    }
+
+    c = this.peek();
+    if (c === 'u') {
+      this.next();
+      var hex = this.text.substr(this.index, 4);
+      if (!/^[0-9a-fA-F]{4}$/.test(hex))
+        throw this.error('invalid unicode escape');
+      for (var i = 0; i < 4; i++)
+        this.next();
+      str += String.fromCharCode(parseInt(hex, 16));
+    }
+    else if (escapes.hasOwnProperty(c)) {
+      this.next();
+      str += escapes[c];
+    }
+    else {
+      throw this.error('invalid escape');
+    }
+  }
+};
+Parser.prototype.number = function() {
+  var m = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?/.exec(this.text.substr(this.index));
+  if (!m)
+    throw this.error('invalid number');
+  for (var i = 0; i < m[0].length; i++)
+    this.next();
+  return parseFloat(m[0]);
+};
+Parser.prototype.word = function() {
+  var words = {
+    'true': true,
+    'false': false,
+    'null': null
+  };
+  for (var w in words) {
+    if (this.text.substr(this.index, w.length) === w) {
+      for (var i = 0; i < w.length; i++)
+        this.next();
+      return words[w];
+    }
+  }
+  throw this.error(this.describe());
+};
+
+var parse = function(text) {
+  var parser = new Parser(String(text));
+  var value;
+  try {
+    value = parser.value('');
+    if (parser.index < parser.text.length)
+      throw parser.error(parser.describe());
+  }
+  catch (err) {
+    return err;
+  }
+
+  return {
+    value: value,
+    positions: parser.positions
+  };
+};
+
+module.exports = {
+  parse: parse
+};
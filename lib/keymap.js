@@ -0,0 +1,66 @@
+'use strict';
+
+var fs = require('fs');
+
+var commands = require('../commands');
+
+//teleop keymap, key name to action
+//keys are named after readline keypress events, such as a, up or space
+//an action is a command name held while the key is, or one of
+//  light: toggle the light
+//  stop: stop every motor
+//  quit: stop the arm and quit, ctrl+c always does
+var defaults = {
+  left: 'base-left',
+  right: 'base-right',
+  up: 'shoulder-up',
+  down: 'shoulder-down',
+  w: 'elbow-up',
+  s: 'elbow-down',
+  e: 'wrist-up',
+  d: 'wrist-down',
+  r: 'grip-open',
+  f: 'grip-close',
+  l: 'light',
+  space: 'stop',
+  q: 'quit',
+  escape: 'quit'
+};
+
+var actions = ['light', 'stop', 'quit'];
+
+//returns an Error for unknown actions
+var validate = function(keymap) {
+  if (!keymap || typeof keymap !== 'object' || Array.isArray(keymap))
+    return new Error('keymap must be an object');
+
+  for (var key in keymap) {
+    var action = keymap[key];
+    if (actions.indexOf(action) === -1 && !commands.hasOwnProperty(action))
+      return new Error('unknown action ' + action + ' for key ' + key);
+  }
+};
+
+//load a keymap file, it replaces the default keymap
+//returns an Error if it is invalid
+var load = function(file) {
+  var keymap;
+  try {
+    keymap = JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+  catch (err) {
+    return new Error(file + ': ' + err.message);
+  }
+
+  var err = validate(keymap);
+  if (err)
+    return new Error(file + ': ' + err.message);
+
+  return keymap;
+};
+
+module.exports = {
+  defaults: defaults,
+  validate: validate,
+  load: load
+};
@@ -1,26 +1,160 @@
 'use strict';
 
-var usb = require('usb');
-var VENDOR_ID = 0x1267;
-var PRODUCT_ID = 0;
+var EventEmitter = require('events').EventEmitter;
 
 var Arm = require('./Arm');
+var calibration = require('./calibration');
 
-var owi535 = {
-  getArm: function() {
-    var d = usb.findByIds(VENDOR_ID, PRODUCT_ID);
-    if (d)
-      return new Arm(d);
+var backends = {
+  usb: './backends/usb',
+  mock: './backends/mock'
+};
+
+//attempts to open an arm just plugged in, its permissions may not be applied yet
+var ATTACH_RETRIES = 5;
+var ATTACH_RETRY_DELAY = 500;
+
+//arms already created, by backend and id
+var arms = {};
+//backends being watched for hotplug, by name
+var watching = {};
+
+var getBackendName = function(name) {
+  return name || process.env.OWI535_BACKEND || 'usb';
+};
+
+var getArmOptions = function(options, id) {
+  var profile = options.calibration || calibration.load();
+  if (profile instanceof Error)
+    throw profile;
+
+  return {
+    id: id,
+    calibration: profile,
+    limits: options.limits
+  };
+};
+
+//emits attach (arm) and detach (arm) while watching, see watch
+//and error (err) when a plugged arm cannot be opened, only if there are listeners
+var owi535 = new EventEmitter();
+
+var methods = {
+  //name defaults to the OWI535_BACKEND environment variable then usb
+  getBackend: function(name) {
+    name = getBackendName(name);
+    if (!backends.hasOwnProperty(name))
+      throw new Error('unknown backend ' + name);
+    return require(backends[name]);
   },
-  isArm: function(d) {
-    return (d.deviceDescriptor.idVendor === VENDOR_ID && d.deviceDescriptor.idProduct === PRODUCT_ID);
+  //stable identifier of a device, bus and port path such as 1-1.4
+  //the address, which changes on each plug, is only used for devices without port path
+  getId: function(device) {
+    var ports = device.portNumbers && device.portNumbers.length > 0 ?
+      device.portNumbers : [device.deviceAddress];
+    return device.busNumber + '-' + ports.join('.');
   },
-  getArms: function() {
-    return usb.getDeviceList().filter(function(device) {
-      if (owi535.isArm(device))
-        return new Arm(device);
+  //returns the arm with options.id or the first one found
+  //options
+  //  backend: see getBackend
+  //  id: see getId
+  //  calibration: profile, defaults to the one saved by owi535 calibrate
+  //  limits: false to disable soft limits
+  //an arm is only created once, later calls return it regardless of options
+  getArm: function(options) {
+    options = options || {};
+    var list = owi535.getArms(options);
+    if (!options.id)
+      return list[0];
+
+    for (var i = 0; i < list.length; i++) {
+      if (list[i].id === options.id)
+        return list[i];
+    }
+  },
+  isArm: require('./backends/usb').isArm,
+  //returns every arm found, see getArm for options
+  getArms: function(options) {
+    options = options || {};
+    var backend = getBackendName(options.backend);
+    return owi535.getBackend(backend).getDeviceList().map(function(device) {
+      var id = owi535.getId(device);
+      var key = backend + ':' + id;
+      if (!arms[key])
+        arms[key] = new Arm(device, getArmOptions(options, id));
+      return arms[key];
     });
+  },
+  //follow arms being plugged and unplugged, see getArm for options
+  //known arms reopen their device when it is plugged back in the same port
+  //arms failing to open are tried again a few times then skipped
+  watch: function(options) {
+    options = options || {};
+    var name = getBackendName(options.backend);
+    if (watching[name])
+      return;
+
+    var backend = owi535.getBackend(name);
+    //timers opening arms again, by key
+    var retries = {};
+    var onAttach = function(device, attempt) {
+      var id = owi535.getId(device);
+      var key = name + ':' + id;
+      clearTimeout(retries[key]);
+      delete retries[key];
+
+      attempt = attempt || 1;
+      try {
+        if (arms[key])
+          arms[key].attach(device);
+        else
+          arms[key] = new Arm(device, getArmOptions(options, id));
+      }
+      catch (err) {
+        var retry = attempt < ATTACH_RETRIES;
+        if (owi535.listeners('error').length > 0)
+          owi535.emit('error', new Error('cannot open arm ' + id + ', ' + err.message + (retry ? ', retrying' : '')));
+        if (retry)
+          retries[key] = setTimeout(onAttach, ATTACH_RETRY_DELAY, device, attempt + 1);
+        return;
+      }
+      owi535.emit('attach', arms[key]);
+    };
+    var onDetach = function(device) {
+      var key = name + ':' + owi535.getId(device);
+      clearTimeout(retries[key]);
+      delete retries[key];
+
+      var arm = arms[key];
+      if (!arm)
+        return;
+
+      arm.detach();
+      owi535.emit('detach', arm);
+    };
+
+    backend.on('attach', onAttach);
+    backend.on('detach', onDetach);
+    backend.watch();
+    watching[name] = function() {
+      for (var key in retries)
+        clearTimeout(retries[key]);
+      backend.removeListener('attach', onAttach);
+      backend.removeListener('detach', onDetach);
+      backend.unwatch();
+    };
+  },
+  unwatch: function(options) {
+    var name = getBackendName(options && options.backend);
+    if (!watching[name])
+      return;
+
+    watching[name]();
+    delete watching[name];
   }
 };
 
-module.exports = owi535;
\ No newline at end of file
+for (var i in methods)
+  owi535[i] = methods[i];
+
+module.exports = owi535;
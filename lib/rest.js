@@ -0,0 +1,108 @@
+'use strict';
+
+//JSON over HTTP helpers for the server REST API
+
+var url = require('url');
+
+//request bodies larger than this are rejected
+var MAX_BODY = 64 * 1024;
+
+var send = function(res, status, value) {
+  var body = JSON.stringify(value) + '\n';
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Content-Length': Buffer.byteLength(body)
+  });
+  res.end(body);
+};
+
+//errors are {error: message}
+var error = function(res, status, message) {
+  send(res, status, {error: message});
+};
+
+//callback is called with an Error or the parsed body, {} for an empty one
+var readBody = function(req, callback) {
+  var chunks = [];
+  var length = 0;
+  var done = false;
+  var end = function(err, value) {
+    if (done)
+      return;
+    done = true;
+    callback(err, value);
+  };
+
+  req.on('data', function(chunk) {
+    if (done)
+      return;
+    length += chunk.length;
+    if (length > MAX_BODY)
+      return end(new Error('request body too large'));
+    chunks.push(chunk);
+  });
+  req.on('error', end);
+  req.on('end', function() {
+    var text = Buffer.concat(chunks).toString('utf8');
+    if (!text.trim())
+      return end(null, {});
+
+    try {
+      end(null, JSON.parse(text));
+    }
+    catch (err) {
+      end(new Error('invalid JSON, ' + err.message));
+    }
+  });
+};
+
+//whether a request comes from a page of the server itself or from no page at all
+//browsers send the origin of the page with cross-site requests and WebSocket connections
+var isSameOrigin = function(req) {
+  var origin = req.headers.origin;
+  return origin === undefined || url.parse(origin).host === req.headers.host;
+};
+
+//routes maps 'METHOD /path' to a handler called with (req, res, query, body)
+//body is only read for POST requests, which must be sent as application/json
+//so that pages of other sites cannot send them without a CORS preflight, which is not answered
+//requests for other paths are passed to fallback
+var handler = function(routes, fallback) {
+  var paths = {};
+  Object.keys(routes).forEach(function(route) {
+    paths[route.split(' ')[1]] = true;
+  });
+
+  return function(req, res) {
+    var parsed = url.parse(req.url, true);
+    if (!paths[parsed.pathname])
+      return fallback(req, res);
+
+    var route = routes[req.method + ' ' + parsed.pathname];
+    if (!route)
+      return error(res, 405, 'method not allowed');
+
+    if (req.method !== 'POST')
+      return route(req, res, parsed.query, null);
+
+    var type = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (type !== 'application/json')
+      return error(res, 415, 'content type must be application/json');
+
+    readBody(req, function(err, body) {
+      if (err)
+        return error(res, 400, err.message);
+      if (!body || typeof body !== 'object' || Array.isArray(body))
+        return error(res, 400, 'body must be a JSON object');
+      route(req, res, parsed.query, body);
+    });
+  };
+};
+
+module.exports = {
+  send: send,
+  error: error,
+  readBody: readBody,
+  isSameOrigin: isSameOrigin,
+  handler: handler
+};
@@ -0,0 +1,230 @@
+'use strict';
+
+//motion sequence files, a JSON object such as
+//{
+//  "sequences": {
+//    "wave": [
+//      {"do": "wrist-up", "for": 500},
+//      {"do": "wrist-down", "for": 500}
+//    ]
+//  },
+//  "steps": [
+//    {"do": "light-on"},
+//    {"do": ["shoulder-up", "base-left"], "for": 1000},
+//    {"do": "grip-close", "for": 500, "speed": 30},
+//    {"wait": 500},
+//    {"run": "wave", "repeat": 3},
+//    {"do": "light-off"}
+//  ]
+//}
+//
+//a step is one of
+//  do: a command name or a list of command names, see Arm.prototype.exec
+//      with for, the number of ms the move lasts
+//      without, joints are left in the new state
+//      with speed, a percentage of full speed, see Arm.prototype.exec
+//  wait: a number of ms to wait for
+//  run: the name of a sub-sequence defined in sequences
+//any step can have repeat, the number of times to run it, default 1
+
+var json = require('./json');
+var joints = require('./joints');
+
+var allowed = {
+  'do': ['do', 'for', 'speed', 'repeat'],
+  'wait': ['wait', 'repeat'],
+  'run': ['run', 'repeat']
+};
+
+var isDuration = function(n) {
+  return typeof n === 'number' && isFinite(n) && n > 0;
+};
+
+var isObject = function(o) {
+  return typeof o === 'object' && o !== null && !Array.isArray(o);
+};
+
+//check a parsed sequence, returns a list of errors with line and column
+var check = function(value, positions) {
+  var errors = [];
+  var report = function(path, message) {
+    var pos = positions[path] || positions[''];
+    var err = new Error('line ' + pos.line + ', column ' + pos.column + ': ' + message);
+    err.line = pos.line;
+    err.column = pos.column;
+    errors.push(err);
+  };
+
+  if (!isObject(value)) {
+    report('', 'sequence must be an object');
+    return errors;
+  }
+
+  Object.keys(value).forEach(function(key) {
+    if (key !== 'steps' && key !== 'sequences')
+      report(key, 'unknown property ' + key);
+  });
+
+  var sequences = value.sequences || {};
+  if (!isObject(sequences)) {
+    report('sequences', 'sequences must be an object');
+    sequences = {};
+  }
+
+  //names of the sub-sequences run by each sequence, to detect cycles
+  var runs = {};
+
+  var checkSteps = function(steps, path, name) {
+    runs[name] = [];
+    if (!Array.isArray(steps))
+      return report(path, 'steps must be an array');
+
+    steps.forEach(function(step, i) {
+      var p = path + '/' + i;
+      if (!isObject(step))
+        return report(p, 'step must be an object');
+
+      var kind = Object.keys(allowed).filter(function(k) {
+        return step.hasOwnProperty(k);
+      });
+      if (kind.length !== 1)
+        return report(p, 'step must have exactly one of do, wait or run');
+      kind = kind[0];
+
+      Object.keys(step).forEach(function(key) {
+        if (allowed[kind].indexOf(key) === -1)
+          report(p + '/' + key, 'unknown property ' + key + ' for a ' + kind + ' step');
+      });
+
+      if ('repeat' in step && !(typeof step.repeat === 'number' && step.repeat >= 1 && step.repeat % 1 === 0))
+        report(p + '/repeat', 'repeat must be a positive integer');
+
+      if (kind === 'do') {
+        var cmds = Array.isArray(step.do) ? step.do : [step.do];
+        var list = cmds.length > 0 ? joints.resolve(cmds) : new Error('do must not be empty');
+        if (list instanceof Error)
+          report(p + '/do', list.message);
+        if ('for' in step && !isDuration(step.for))
+          report(p + '/for', 'for must be a positive number of ms');
+        var invalid = joints.checkSpeed(step.speed);
+        if (invalid)
+          report(p + '/speed', invalid.message);
+      }
+      else if (kind === 'wait') {
+        if (!isDuration(step.wait))
+          report(p + '/wait', 'wait must be a positive number of ms');
+      }
+      else if (kind === 'run') {
+        if (typeof step.run !== 'string' || !sequences.hasOwnProperty(step.run))
+          report(p + '/run', 'unknown sequence ' + step.run);
+        else
+          runs[name].push({name: step.run, path: p + '/run'});
+      }
+    });
+  };
+
+  Object.keys(sequences).forEach(function(name) {
+    checkSteps(sequences[name], 'sequences/' + name, name);
+  });
+
+  if (!('steps' in value))
+    report('', 'missing steps');
+  else
+    checkSteps(value.steps, 'steps', '');
+
+  //sub-sequences running themselves, directly or not, would never end
+  var visit = function(name, stack) {
+    (runs[name] || []).forEach(function(r) {
+      if (stack.indexOf(r.name) !== -1)
+        return report(r.path, 'sequence ' + r.name + ' runs itself');
+      visit(r.name, stack.concat(r.name));
+    });
+  };
+  Object.keys(sequences).forEach(function(name) {
+    visit(name, [name]);
+  });
+
+  //each cycle is found once per sequence it goes through
+  var seen = {};
+  return errors.filter(function(err) {
+    if (seen[err.message])
+      return false;
+    seen[err.message] = true;
+    return true;
+  });
+};
+
+//validate a sequence file content, returns a list of errors
+var validate = function(text) {
+  var parsed = json.parse(text);
+  if (parsed instanceof Error)
+    return [parsed];
+  return check(parsed.value, parsed.positions);
+};
+
+var normalize = function(steps, positions, path) {
+  return steps.map(function(step, i) {
+    var s = {
+      repeat: step.repeat || 1,
+      line: positions[path + '/' + i].line
+    };
+    if ('do' in step) {
+      s.do = Array.isArray(step.do) ? step.do : [step.do];
+      s.for = step.for || 0;
+      if ('speed' in step)
+        s.speed = step.speed;
+    }
+    else if ('wait' in step) {
+      s.wait = step.wait;
+    }
+    else {
+      s.run = step.run;
+    }
+    return s;
+  });
+};
+
+//parse a sequence file content into
+//{steps, sequences} where each step has do and for, wait or run
+//as well as repeat and the line it is defined on
+//returns the first error for an invalid sequence
+var parse = function(text) {
+  var parsed = json.parse(text);
+  if (parsed instanceof Error)
+    return parsed;
+
+  var errors = check(parsed.value, parsed.positions);
+  if (errors.length > 0)
+    return errors[0];
+
+  var value = parsed.value;
+  var sequences = {};
+  Object.keys(value.sequences || {}).forEach(function(name) {
+    sequences[name] = normalize(value.sequences[name], parsed.positions, 'sequences/' + name);
+  });
+
+  return {
+    steps: normalize(value.steps, parsed.positions, 'steps'),
+    sequences: sequences
+  };
+};
+
+//expand sub-sequences and repeats into a flat list of do and wait steps
+var flatten = function(sequence, steps) {
+  var list = [];
+  (steps || sequence.steps).forEach(function(step) {
+    for (var i = 0; i < step.repeat; i++) {
+      if (step.run)
+        list = list.concat(flatten(sequence, sequence.sequences[step.run]));
+      else
+        list.push(step);
+    }
+  });
+  return list;
+};
+
+module.exports = {
+  validate: validate,
+  parse: parse,
+  flatten: flatten
+};
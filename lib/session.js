@@ -0,0 +1,65 @@
+'use strict';
+
+//sessions are recorded with SessionRecorder and replayed as sequences
+
+var methods = ['do', 'stop'];
+
+//parse a session file content into a list of {time, method, payload, arm, line}
+//returns an Error with the line of the first invalid message
+var parse = function(text) {
+  var events = [];
+  var lines = String(text).split('\n');
+  for (var i = 0; i < lines.length; i++) {
+    if (!lines[i].trim())
+      continue;
+
+    var e;
+    try {
+      e = JSON.parse(lines[i]);
+    }
+    catch (err) {
+      e = null;
+    }
+
+    var previous = events[events.length - 1];
+    if (!e || typeof e.time !== 'number' || methods.indexOf(e.method) === -1 ||
+        (previous && e.time < previous.time)) {
+      var error = new Error('line ' + (i + 1) + ': invalid message');
+      error.line = i + 1;
+      return error;
+    }
+    e.line = i + 1;
+    events.push(e);
+  }
+  return events;
+};
+
+//turn session events into a sequence, see sequence.parse
+//do payloads are commands or {commands, speed}
+//stop messages become stop steps, for SequenceRunner only as sequence files have none
+//speed scales the time between messages, 2 replays twice as fast
+//the time before the first message is skipped
+var toSequence = function(events, speed) {
+  speed = speed || 1;
+  var steps = [];
+  events.forEach(function(e, i) {
+    var wait = i > 0 ? (e.time - events[i - 1].time) / speed : 0;
+    if (wait > 0)
+      steps.push({wait: wait, repeat: 1, line: e.line});
+    if (e.method === 'stop')
+      steps.push({stop: [].concat(e.payload), repeat: 1, line: e.line});
+    else if (e.payload && e.payload.commands)
+      steps.push({do: [].concat(e.payload.commands), for: 0, speed: e.payload.speed, repeat: 1, line: e.line});
+    else
+      steps.push({do: [].concat(e.payload), for: 0, repeat: 1, line: e.line});
+  });
+  return {
+    steps: steps,
+    sequences: {}
+  };
+};
+
+module.exports = {
+  parse: parse,
+  toSequence: toSequence
+};
@@ -0,0 +1,165 @@
+'use strict';
+
+//owi535 shell, parses and completes prompt lines and formats the arm state
+
+var fs = require('fs');
+var path = require('path');
+
+var commands = require('../commands');
+var joints = require('./joints');
+var home = require('./home');
+
+//ms a move lasts when no time is given, same as owi535 exec
+var DEFAULT_TIME = 500;
+var HISTORY_SIZE = 500;
+
+//shell words besides command names, stop being one of them
+var keywords = ['state', 'help', 'exit'];
+
+var help = [
+  '<commands> [time]  run commands separated by a comma for time ms, default ' + DEFAULT_TIME + ', 0 until stopped',
+  'stop [joints...]   stop every motor or the given joints',
+  'state              show the estimated state of the arm',
+  'help               show this help',
+  'exit               stop the arm and quit, same as ctrl+d'
+].join('\n');
+
+//parse a line into {action: 'exec', commands, time}, {action: 'stop', joints}
+//or {action} for other shell words
+//returns null for blank lines and an Error for invalid ones
+var parse = function(line) {
+  var words = line.trim().split(/\s+/).filter(function(word) {
+    return word.length > 0;
+  });
+  if (words.length === 0)
+    return null;
+
+  var first = words[0];
+  if (first === 'stop') {
+    var unknown = words.slice(1).filter(function(name) {
+      return joints.names.indexOf(joints.aliases[name] || name) === -1;
+    });
+    if (unknown.length > 0)
+      return new Error('unknown joint ' + unknown.join(', '));
+    return {
+      action: 'stop',
+      joints: words.slice(1)
+    };
+  }
+
+  if (keywords.indexOf(first) !== -1) {
+    if (words.length > 1)
+      return new Error(first + ' takes no argument');
+    return {action: first};
+  }
+
+  var names = first.split(',');
+  var list = joints.resolve(names);
+  if (list instanceof Error)
+    return list;
+
+  if (words.length > 2)
+    return new Error('too many arguments');
+
+  var time = words.length > 1 ? Number(words[1]) : DEFAULT_TIME;
+  if (isNaN(time) || time < 0)
+    return new Error('invalid time ' + words[1]);
+
+  return {
+    action: 'exec',
+    commands: names,
+    time: time
+  };
+};
+
+//readline completer, completes shell words, command names after a comma and joints after stop
+var complete = function(line) {
+  var words = line.replace(/^\s+/, '').split(/\s+/);
+  var last = words[words.length - 1];
+
+  var candidates = [];
+  if (words.length === 1) {
+    var i = last.lastIndexOf(',');
+    var prefix = last.substr(0, i + 1);
+    candidates = Object.keys(commands).map(function(name) {
+      return prefix + name;
+    });
+    if (i === -1)
+      candidates = candidates.concat(keywords);
+  }
+  else if (words.length === 2 && words[0] === 'stop') {
+    candidates = joints.names;
+  }
+
+  return [candidates.filter(function(c) {
+    return c.indexOf(last) === 0;
+  }), last];
+};
+
+//estimated position of each motor in degrees and direction of running joints
+var format = function(arm) {
+  var position = arm.position;
+  var state = arm.getState();
+  return joints.names.map(function(name) {
+    var text = name;
+    //no -0.0
+    if (name in position)
+      text += ' ' + (Math.round(position[name] * 10) / 10 || 0).toFixed(1);
+    if (state[name])
+      text += ' ' + state[name];
+    else if (!(name in position))
+      text += ' off';
+    return text;
+  }).join(', ');
+};
+
+var getHistoryFile = function() {
+  return home('history');
+};
+
+//returns the saved lines, most recent first as readline expects
+var loadHistory = function(file) {
+  var text;
+  try {
+    text = fs.readFileSync(file || getHistoryFile(), 'utf8');
+  }
+  catch (err) {
+    return [];
+  }
+
+  return text.split('\n').filter(function(line) {
+    return line.length > 0;
+  }).reverse().slice(0, HISTORY_SIZE);
+};
+
+//history is most recent first, as given by the readline history event
+//synchronous so that it is saved even if the shell exits right after, returns an Error on failure
+var saveHistory = function(history, file) {
+  file = file || getHistoryFile();
+  var lines = history.slice(0, HISTORY_SIZE).reverse();
+  try {
+    try {
+      fs.mkdirSync(path.dirname(file));
+    }
+    catch (err) {
+      if (err.code !== 'EEXIST')
+        throw err;
+    }
+    fs.writeFileSync(file, lines.join('\n') + '\n');
+  }
+  catch (err) {
+    return err;
+  }
+};
+
+module.exports = {
+  DEFAULT_TIME: DEFAULT_TIME,
+  HISTORY_SIZE: HISTORY_SIZE,
+  help: help,
+  parse: parse,
+  complete: complete,
+  format: format,
+  getHistoryFile: getHistoryFile,
+  loadHistory: loadHistory,
+  saveHistory: saveHistory
+};
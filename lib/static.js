@@ -0,0 +1,64 @@
+'use strict';
+
+//serves the files of a directory over HTTP, / being index.xhtml
+
+var fs = require('fs');
+var path = require('path');
+var url = require('url');
+
+var types = {
+  '.xhtml': 'application/xhtml+xml',
+  '.html': 'text/html',
+  '.js': 'application/javascript',
+  '.css': 'text/css',
+  '.png': 'image/png',
+  '.json': 'application/json'
+};
+
+//returns a request handler serving files from root
+var serve = function(root) {
+  root = path.resolve(root);
+
+  return function(req, res) {
+    var end = function(status, message) {
+      res.writeHead(status, {'Content-Type': 'text/plain'});
+      res.end(message);
+    };
+
+    if (req.method !== 'GET' && req.method !== 'HEAD')
+      return end(405, 'Method Not Allowed');
+
+    var pathname;
+    try {
+      pathname = decodeURIComponent(url.parse(req.url).pathname);
+    }
+    catch (err) {
+      return end(400, 'Bad Request');
+    }
+    //fs throws on paths with a NUL byte
+    if (pathname.indexOf('\0') !== -1)
+      return end(400, 'Bad Request');
+    if (pathname === '/')
+      pathname = '/index.xhtml';
+
+    var file = path.join(root, path.normalize(pathname));
+    if (file.indexOf(root + path.sep) !== 0)
+      return end(403, 'Forbidden');
+
+    fs.stat(file, function(err, stats) {
+      if (err || !stats.isFile())
+        return end(404, 'Not Found');
+
+      res.writeHead(200, {
+        'Content-Type': types[path.extname(file)] || 'application/octet-stream',
+        'Content-Length': stats.size
+      });
+      if (req.method === 'HEAD')
+        return res.end();
+
+      fs.createReadStream(file).pipe(res);
+    });
+  };
+};
+
+module.exports = serve;
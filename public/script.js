@@ -4,18 +4,92 @@
 
   var conducto = global.conducto;
 
+  //the server serves the remote and its WebSocket on the same port
+  var location = window.location;
+  var secure = location.protocol === 'https:';
   var options = {
-    host: '192.168.1.10',
-    port: 8080,
-    secure: false
+    host: location.hostname,
+    port: parseInt(location.port, 10) || (secure ? 443 : 80),
+    secure: secure
   };
 
+  //?arm=<id> addresses an arm other than the server default one
+  var arm = /[?&]arm=([^&]+)/.exec(window.location.search);
+  arm = arm && decodeURIComponent(arm[1]);
+
+  //?token=<token> authenticates, it is remembered for later visits
+  var token = /[?&]token=([^&]+)/.exec(window.location.search);
+  token = token ? decodeURIComponent(token[1]) : window.localStorage.getItem('owi535-token');
+
+  //speed is the percentage of full speed motors run at, omitted at full speed
+  var command = function(commands, speed) {
+    var slowed = speed !== undefined && speed < 100;
+    if (!arm && !slowed)
+      return commands;
+
+    var payload = {commands: commands};
+    if (arm)
+      payload.arm = arm;
+    if (slowed)
+      payload.speed = speed;
+    return payload;
+  };
+
+  //id of the arm the server addresses by default
+  var defaultArm = null;
+
+  //ms the server waits for a heartbeat before stopping motors, 0 when disabled
+  var heartbeat = 0;
+  //buttons held down
+  var pressed = 0;
+  var heartbeatInterval = null;
+
   var client = new conducto.Client();
+
+  //reconnection delay in ms, doubled after each failed attempt
+  var MIN_RECONNECT_DELAY = 500;
+  var MAX_RECONNECT_DELAY = 16000;
+  var reconnectDelay = MIN_RECONNECT_DELAY;
+  var connected = false;
+  //set once reconnected, a stop is sent as soon as the server accepts it
+  var reconnected = false;
+
+  //the banner stays up and the controls disabled until connected
+  var renderConnection = function(text) {
+    var el = document.getElementById('connection');
+    if (el)
+      el.textContent = text;
+    if (connected)
+      document.documentElement.classList.remove('disconnected');
+    else
+      document.documentElement.classList.add('disconnected');
+  };
+
   client.on('open', function() {
     console.log('OPENED');
+    connected = true;
+    reconnectDelay = MIN_RECONNECT_DELAY;
+    renderConnection('');
+    //the server tells nothing about the arm until then
+    authenticate();
   });
   client.on('close', function() {
-    console.log('CLOSED')
+    console.log('CLOSED');
+    var wasConnected = connected;
+    connected = false;
+    role = null;
+    control = null;
+    releaseAll();
+
+    var delay = reconnectDelay;
+    reconnectDelay = Math.min(reconnectDelay * 2, MAX_RECONNECT_DELAY);
+    renderConnection((wasConnected ? 'Connection lost' : 'Cannot connect') +
+      ', reconnecting in ' + Math.ceil(delay / 1000) + 's');
+    setTimeout(function() {
+      renderConnection('Connecting');
+      reconnected = true;
+      client.open(options);
+    }, delay);
   });
   client.on('message', function(m) {
     console.log('IN', m);
@@ -23,45 +97,686 @@
   client.on('send', function(m) {
     console.log('OUT', m);
   });
+  //grey out the remote while its arm is unplugged
+  var setAvailability = function(a) {
+    if (a.id !== (arm || defaultArm))
+      return;
+
+    if (a.available)
+      document.documentElement.classList.remove('unavailable');
+    else
+      document.documentElement.classList.add('unavailable');
+  };
+
+  //role granted by the server, viewers cannot move the arm
+  var role = null;
+  var setRole = function(r) {
+    role = r;
+    if (role === 'viewer')
+      document.documentElement.classList.add('viewer');
+    else
+      document.documentElement.classList.remove('viewer');
+
+    stopIfReconnected();
+  };
+  //motors may have been left running, unless someone else took control meanwhile
+  //waits for the role and the control of the new connection
+  var stopIfReconnected = function() {
+    if (!reconnected || !role || !control)
+      return;
+
+    reconnected = false;
+    if (role !== 'viewer' && (!control.holder || control.holder.id === self))
+      client.exec('do', command('stop'), showError);
+  };
+
+  //user and password of the page, kept to authenticate again after reconnecting
+  var user = null;
+  //token or user and password, asked for if the server requires authentication
+  var authenticate = function() {
+    var credentials = token ? {token: token} : user;
+    client.exec('auth', credentials, function(err, result) {
+      if (err && !credentials) {
+        user = {
+          user: window.prompt('User'),
+          password: window.prompt('Password')
+        };
+        return authenticate();
+      }
+      if (err) {
+        window.localStorage.removeItem('owi535-token');
+        token = null;
+        user = null;
+        return showError(err);
+      }
+      if (credentials && credentials.token)
+        window.localStorage.setItem('owi535-token', credentials.token);
+      setRole(result.role);
+    });
+  };
+
+  client.on('config', function(config) {
+    heartbeat = config.heartbeat;
+    defaultArm = config.arm;
+    config.arms.forEach(setAvailability);
+  });
+  client.on('arm', setAvailability);
+
+  //highlight the buttons of running joints, show the light and estimated positions
+  var isSame = function(a, b) {
+    return a[0] === b[0] && a[1] === b[1] && a[2] === b[2];
+  };
+  var renderState = function(state) {
+    var buttons = document.querySelectorAll('[data-action]');
+    for (var i = 0; i < buttons.length; i++) {
+      var action = buttons[i].dataset.action;
+      var joint = action.split('-')[0];
+      if (joint === 'hand')
+        joint = 'grip';
+      var direction = state.joints[joint];
+      if (direction && isSame(global.commands[action], global.commands[joint + '-' + direction]))
+        buttons[i].classList.add('active');
+      else
+        buttons[i].classList.remove('active');
+    }
+
+    var light = document.querySelector('[data-type=light]');
+    if (state.light)
+      light.classList.add('on');
+    else
+      light.classList.remove('on');
+
+    document.getElementById('positions').textContent = Object.keys(state.positions).map(function(name) {
+      return name + ' ' + Math.round(state.positions[name]) + '\u00b0';
+    }).join(', ');
+  };
+  //rendered once the document is loaded
+  var lastState = null;
+  client.on('state', function(state) {
+    if (state.arm !== (arm || defaultArm))
+      return;
+    lastState = state;
+    if (document.readyState !== 'loading')
+      renderState(state);
+  });
+  client.on('arm-error', function(e) {
+    if (e.arm === (arm || defaultArm))
+      showError(e.message);
+  });
+
+  //id the server gave this client
+  var self = null;
+  client.on('client', function(c) {
+    self = c.id;
+  });
+  //who holds control of the arm, see control-request, null until notified
+  var control = null;
+  var renderControl = function() {
+    var holder = control && control.holder;
+    var position = -1;
+    (control ? control.queue : []).forEach(function(c, i) {
+      if (c.id === self)
+        position = i;
+    });
+
+    var text;
+    var action;
+    if (holder && holder.id === self) {
+      text = 'You have control';
+      action = 'Release';
+    }
+    else if (position !== -1) {
+      text = 'Waiting for ' + holder.name + (position > 0 ? ', ' + position + ' ahead' : '');
+      action = 'Leave queue';
+    }
+    else if (holder) {
+      text = holder.name + ' has control';
+      action = 'Request control';
+    }
+    else {
+      text = 'Nobody has control';
+      action = 'Take control';
+    }
+
+    document.querySelector('#control span').textContent = text;
+    document.querySelector('#control button').textContent = action;
+    if (holder && holder.id !== self)
+      document.documentElement.classList.add('locked');
+    else
+      document.documentElement.classList.remove('locked');
+  };
+  client.on('control', function(c) {
+    control = c;
+    if (document.readyState !== 'loading')
+      renderControl();
+    stopIfReconnected();
+  });
+  var toggleControl = function() {
+    if (!control)
+      return;
+
+    var queued = control.queue.some(function(c) {
+      return c.id === self;
+    });
+    var holding = control.holder && control.holder.id === self;
+    client.exec(holding || queued ? 'control-release' : 'control-request', null, showError);
+  };
+  //flash the controls of a joint stopped at one of its limits
+  client.on('limit', function(l) {
+    var els = document.querySelectorAll('[data-action^="' + l.joint + '-"]');
+    for (var i = 0; i < els.length; i++)
+      els[i].classList.add('limit');
+    setTimeout(function() {
+      for (var i = 0; i < els.length; i++)
+        els[i].classList.remove('limit');
+    }, 1000);
+    if ('vibrate' in window.navigator)
+      window.navigator.vibrate([100, 50, 100]);
+  });
   client.open(options);
 
-  var makeButton = function(el) {
-    var c = el.dataset.action;
-    var state = 0;
-    var start = function() {
-      state = 1;
-      client.exec('do', c);
-      if (c !== 'light' && 'vibrate' in window.navigator) {
+  //show errors such as failed USB transfers for a few seconds
+  var errorTimeout = null;
+  var showError = function(err) {
+    if (!err)
+      return;
+
+    var el = document.getElementById('error');
+    el.textContent = err.message || err;
+    el.classList.add('visible');
+    clearTimeout(errorTimeout);
+    errorTimeout = setTimeout(function() {
+      el.classList.remove('visible');
+    }, 3000);
+  };
+
+  //keep motors running while buttons are held
+  var startHeartbeat = function() {
+    pressed++;
+    if (heartbeatInterval || !heartbeat)
+      return;
+
+    heartbeatInterval = setInterval(function() {
+      client.notify('heartbeat');
+    }, heartbeat / 3);
+  };
+  var stopHeartbeat = function() {
+    pressed = Math.max(pressed - 1, 0);
+    if (pressed > 0 || !heartbeatInterval)
+      return;
+
+    clearInterval(heartbeatInterval);
+    heartbeatInterval = null;
+  };
+
+  //percentage of full speed motors run at, remembered for later visits
+  var MIN_SPEED = 10;
+  var speed = Math.min(Math.max(parseInt(window.localStorage.getItem('owi535-speed'), 10) || 100, MIN_SPEED), 100);
+
+  //commands held by each input, such as a button, the keyboard or a gamepad
+  var held = {};
+  var getHeld = function() {
+    var all = [];
+    Object.keys(held).forEach(function(input) {
+      held[input].forEach(function(c) {
+        if (all.indexOf(c) === -1)
+          all.push(c);
+      });
+    });
+    return all;
+  };
+  var getJoint = function(c) {
+    var joint = c.split('-')[0];
+    return joint === 'hand' ? 'grip' : joint;
+  };
+  var getJoints = function(commands) {
+    var names = [];
+    commands.forEach(function(c) {
+      if (names.indexOf(getJoint(c)) === -1)
+        names.push(getJoint(c));
+    });
+    return names;
+  };
+  //joints the server let this client drive, the only ones it stops once released
+  //others may be driven by the client holding control
+  var accepted = {};
+  var drive = function(commands) {
+    client.exec('do', command(commands, speed), function(err) {
+      if (err)
+        return showError(err);
+
+      //joints released before the server answered are stopped now
+      var holding = getJoints(getHeld());
+      var released = getJoints(commands).filter(function(joint) {
+        accepted[joint] = true;
+        return holding.indexOf(joint) === -1;
+      });
+      stopJoints(released);
+    });
+  };
+  var stopJoints = function(names) {
+    names = names.filter(function(joint) {
+      return accepted[joint];
+    });
+    if (names.length === 0)
+      return;
+
+    names.forEach(function(joint) {
+      delete accepted[joint];
+    });
+    client.exec('stop', arm ? {arm: arm, joints: names} : names, showError);
+  };
+  //set the commands held by an input
+  //the joints nobody holds anymore are stopped and the combined set is sent when it grows
+  var hold = function(input, commands) {
+    if (!connected)
+      return;
+
+    var before = getHeld();
+    if (commands.length > 0)
+      held[input] = commands;
+    else
+      delete held[input];
+    var after = getHeld();
+
+    var holding = getJoints(after);
+    var released = getJoints(before).filter(function(joint) {
+      return holding.indexOf(joint) === -1;
+    });
+    stopJoints(released);
+
+    var started = after.some(function(c) {
+      return before.indexOf(c) === -1;
+    });
+    if (started)
+      drive(after);
+
+    if (before.length === 0 && after.length > 0) {
+      startHeartbeat();
+      if ('vibrate' in window.navigator) {
         //vibrate(int) on FF Android nightly is limited to 1000*10
         //we assume no action needs more than 20 seconds
         window.navigator.vibrate([1000*10,0,1000*10]);
       }
-    };
-    var stop = function() {
-      if (state === 0)
-        return;
-
-      state = 0;
-      client.exec('do', 'stop');
+    }
+    else if (before.length > 0 && after.length === 0) {
+      stopHeartbeat();
       if ('vibrate' in window.navigator)
         window.navigator.vibrate(0);
+    }
+  };
+
+  var emergencyStop = function() {
+    if (connected)
+      client.exec('do', command('stop'), showError);
+  };
+
+  var toggleLight = function() {
+    if (!connected)
+      return;
+    var on = lastState && lastState.light;
+    client.exec('do', command(on ? 'light-off' : 'light-on'), showError);
+  };
+
+  //gamepad mapping, axes map to the commands of their negative and positive directions
+  //buttons map to a command held while pressed, light to toggle it or stop
+  //indexes follow the standard gamepad layout
+  var defaultGamepadMapping = {
+    axes: {
+      0: ['base-left', 'base-right'],
+      1: ['shoulder-up', 'shoulder-down'],
+      2: ['wrist-down', 'wrist-up'],
+      3: ['elbow-up', 'elbow-down']
+    },
+    buttons: {
+      0: 'light',
+      1: 'stop',
+      4: 'grip-open',
+      5: 'grip-close',
+      12: 'wrist-up',
+      13: 'wrist-down'
+    }
+  };
+  //sticks rarely rest at 0
+  var DEAD_ZONE = 0.5;
+
+  var getGamepadMapping = function() {
+    try {
+      return JSON.parse(window.localStorage.getItem('owi535-gamepad')) || defaultGamepadMapping;
+    }
+    catch (err) {
+      return defaultGamepadMapping;
+    }
+  };
+  var gamepadMapping = getGamepadMapping();
+
+  //buttons pressed at the previous poll, for light and stop
+  var gamepadPressed = {};
+  //polled every frame while a pad is connected
+  var polling = false;
+  var pollGamepad = function() {
+    var pad = Array.prototype.filter.call(window.navigator.getGamepads(), Boolean)[0];
+    renderGamepad(pad);
+    polling = Boolean(pad);
+    if (!pad) {
+      hold('gamepad', []);
+      return;
+    }
+
+    var commands = [];
+    Object.keys(gamepadMapping.axes || {}).forEach(function(i) {
+      var value = pad.axes[i] || 0;
+      if (value <= -DEAD_ZONE)
+        commands.push(gamepadMapping.axes[i][0]);
+      else if (value >= DEAD_ZONE)
+        commands.push(gamepadMapping.axes[i][1]);
+    });
+    Object.keys(gamepadMapping.buttons || {}).forEach(function(i) {
+      var c = gamepadMapping.buttons[i];
+      var pressed = Boolean(pad.buttons[i] && pad.buttons[i].pressed);
+      var down = pressed && !gamepadPressed[i];
+      gamepadPressed[i] = pressed;
+      if (c === 'light' && down)
+        toggleLight();
+      else if (c === 'stop' && down)
+        emergencyStop();
+      else if (c !== 'light' && c !== 'stop' && pressed && commands.indexOf(c) === -1)
+        commands.push(c);
+    });
+    hold('gamepad', commands);
+
+    window.requestAnimationFrame(pollGamepad);
+  };
+
+  var renderGamepad = function(pad) {
+    document.querySelector('#gamepad summary').textContent = pad ? 'Gamepad: ' + pad.id : 'No gamepad';
+    if (pad)
+      document.documentElement.classList.add('gamepad');
+    else
+      document.documentElement.classList.remove('gamepad');
+  };
+
+  //the mapping is edited as JSON and saved in localStorage
+  var setupGamepad = function() {
+    var el = document.getElementById('gamepad');
+    var textarea = el.querySelector('textarea');
+    textarea.value = JSON.stringify(gamepadMapping, null, 2);
+    el.querySelector('[data-gamepad=save]').addEventListener('click', function() {
+      try {
+        gamepadMapping = JSON.parse(textarea.value);
+      }
+      catch (err) {
+        return showError('invalid mapping, ' + err.message);
+      }
+      window.localStorage.setItem('owi535-gamepad', textarea.value);
+    });
+    el.querySelector('[data-gamepad=reset]').addEventListener('click', function() {
+      gamepadMapping = defaultGamepadMapping;
+      window.localStorage.removeItem('owi535-gamepad');
+      textarea.value = JSON.stringify(gamepadMapping, null, 2);
+    });
+
+    renderGamepad(null);
+    if (!window.navigator.getGamepads)
+      return;
+
+    window.addEventListener('gamepadconnected', function() {
+      if (!polling)
+        pollGamepad();
+    });
+    //pads plugged in before the page loaded
+    pollGamepad();
+  };
+
+  //keyboard keys, named after KeyboardEvent.key, to a command held while pressed, light or stop
+  var defaultKeymap = {
+    'ArrowLeft': 'base-left',
+    'ArrowRight': 'base-right',
+    'ArrowUp': 'shoulder-up',
+    'ArrowDown': 'shoulder-down',
+    'w': 'elbow-up',
+    's': 'elbow-down',
+    'e': 'wrist-up',
+    'd': 'wrist-down',
+    'r': 'grip-open',
+    'f': 'grip-close',
+    'l': 'light',
+    ' ': 'stop',
+    'Escape': 'stop'
+  };
+  var getKeymap = function() {
+    try {
+      return JSON.parse(window.localStorage.getItem('owi535-keyboard')) || defaultKeymap;
+    }
+    catch (err) {
+      return defaultKeymap;
+    }
+  };
+  var keymap = getKeymap();
+
+  //W and w are the same key
+  var getKey = function(e) {
+    return e.key.length === 1 ? e.key.toLowerCase() : e.key;
+  };
+
+  //commands of the keys held down, by key
+  var keysDown = {};
+  var releaseKeys = function() {
+    keysDown = {};
+    hold('keyboard', []);
+  };
+  var holdKeys = function() {
+    var commands = [];
+    Object.keys(keysDown).forEach(function(key) {
+      if (commands.indexOf(keysDown[key]) === -1)
+        commands.push(keysDown[key]);
+    });
+    hold('keyboard', commands);
+  };
+
+  //action waiting for a key to be bound to, see setupKeyboard
+  var remapping = null;
+
+  var onKeyDown = function(e) {
+    var tag = e.target.tagName && e.target.tagName.toLowerCase();
+    if (e.ctrlKey || e.altKey || e.metaKey || tag === 'textarea' || tag === 'input')
+      return;
+
+    var key = getKey(e);
+    if (remapping) {
+      e.preventDefault();
+      return remap(remapping, key);
+    }
+
+    var c = keymap[key];
+    if (!c)
+      return;
+
+    e.preventDefault();
+    //held keys repeat
+    if (e.repeat)
+      return;
+
+    if (c === 'light')
+      return toggleLight();
+    if (c === 'stop') {
+      releaseKeys();
+      return emergencyStop();
+    }
+
+    keysDown[key] = c;
+    holdKeys();
+  };
+  var onKeyUp = function(e) {
+    var key = getKey(e);
+    if (!keysDown[key])
+      return;
+
+    delete keysDown[key];
+    holdKeys();
+  };
+
+  var getKeyName = function(key) {
+    return key === ' ' ? 'Space' : key;
+  };
+
+  //bind key to action, replacing the previous keys of action
+  var remap = function(action, key) {
+    remapping = null;
+    if (key !== 'Escape' || action === 'stop') {
+      var map = {};
+      Object.keys(keymap).forEach(function(k) {
+        if (keymap[k] !== action && k !== key)
+          map[k] = keymap[k];
+      });
+      map[key] = action;
+      keymap = map;
+      window.localStorage.setItem('owi535-keyboard', JSON.stringify(keymap));
+    }
+    renderKeymap();
+  };
+
+  //legend of the keymap, click a key to remap it
+  var renderKeymap = function() {
+    var list = document.querySelector('#keyboard ul');
+    list.textContent = '';
+
+    var actions = [];
+    Object.keys(defaultKeymap).forEach(function(key) {
+      if (actions.indexOf(defaultKeymap[key]) === -1)
+        actions.push(defaultKeymap[key]);
+    });
+    actions.forEach(function(action) {
+      var keys = Object.keys(keymap).filter(function(key) {
+        return keymap[key] === action;
+      });
+
+      var item = document.createElement('li');
+      var button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = remapping === action ? 'press a key' : keys.map(getKeyName).join(', ') || 'none';
+      button.addEventListener('click', function() {
+        remapping = action;
+        renderKeymap();
+      });
+      item.appendChild(button);
+      item.appendChild(document.createTextNode(' ' + action));
+      list.appendChild(item);
+    });
+  };
+
+  var setupSpeed = function() {
+    var input = document.querySelector('#speed input');
+    var output = document.querySelector('#speed output');
+    input.value = speed;
+    output.textContent = speed + '%';
+    input.addEventListener('input', function() {
+      speed = parseInt(input.value, 10);
+      output.textContent = speed + '%';
+      window.localStorage.setItem('owi535-speed', speed);
+      //held joints carry on at the new speed
+      var commands = getHeld();
+      if (connected && commands.length > 0)
+        drive(commands);
+    });
+  };
+
+  var setupKeyboard = function() {
+    document.querySelector('#keyboard [data-keyboard=reset]').addEventListener('click', function() {
+      keymap = defaultKeymap;
+      remapping = null;
+      window.localStorage.removeItem('owi535-keyboard');
+      renderKeymap();
+    });
+    renderKeymap();
+
+    document.addEventListener('keydown', onKeyDown);
+    document.addEventListener('keyup', onKeyUp);
+    //key releases are lost while the page is in the background
+    window.addEventListener('blur', releaseKeys);
+  };
+
+  //nothing is held anymore once disconnected, the server stops the motors
+  var releaseAll = function() {
+    held = {};
+    accepted = {};
+    keysDown = {};
+    pressed = 0;
+    clearInterval(heartbeatInterval);
+    heartbeatInterval = null;
+  };
+
+  //each button is an input of its own, held while a finger or the mouse is on it
+  var makeButton = function(el, input) {
+    var c = el.dataset.action;
+    //touch events are followed by emulated mouse events
+    var onTouchStart = function(e) {
+      e.preventDefault();
+    };
+
+    if (c === 'stop') {
+      el.addEventListener('touchstart', onTouchStart);
+      el.addEventListener('touchstart', emergencyStop);
+      el.addEventListener('mousedown', emergencyStop);
+      return;
+    }
+
+    //identifiers of the touches on the button
+    var touches = [];
+    var mouse = false;
+    var update = function() {
+      hold(input, touches.length > 0 || mouse ? [c] : []);
     };
+    var onTouchEnd = function(e) {
+      Array.prototype.forEach.call(e.changedTouches, function(t) {
+        var i = touches.indexOf(t.identifier);
+        if (i !== -1)
+          touches.splice(i, 1);
+      });
+      update();
+    };
+
     //touchscreen
-    el.addEventListener('touchstart', start);
-    el.addEventListener('touchend', stop);
+    el.addEventListener('touchstart', onTouchStart);
+    el.addEventListener('touchstart', function(e) {
+      Array.prototype.forEach.call(e.changedTouches, function(t) {
+        touches.push(t.identifier);
+      });
+      update();
+    });
+    el.addEventListener('touchend', onTouchEnd);
+    el.addEventListener('touchcancel', onTouchEnd);
     //mouse
-    el.addEventListener('mousedown', start);
-    el.addEventListener('mouseup', stop);
-    el.addEventListener('mouseleave', stop);
+    el.addEventListener('mousedown', function() {
+      mouse = true;
+      update();
+    });
+    var onMouseUp = function() {
+      mouse = false;
+      update();
+    };
+    el.addEventListener('mouseup', onMouseUp);
+    el.addEventListener('mouseleave', onMouseUp);
   };
 
   document.addEventListener('DOMContentLoaded', function() {
 
     var buttons = document.querySelectorAll('[data-action]');
     for (var i = 0; i < buttons.length; i++) {
-      makeButton(buttons[i]);
+      makeButton(buttons[i], 'button-' + i);
     }
 
+    //the light is a toggle, not held like motors
+    document.querySelector('[data-type=light]').addEventListener('click', toggleLight);
+    document.querySelector('#control button').addEventListener('click', toggleControl);
+    renderControl();
+    if (lastState)
+      renderState(lastState);
+    setupGamepad();
+    setupKeyboard();
+    setupSpeed();
+    renderConnection(connected ? '' : 'Connecting');
+
   });
 
 })(this);
\ No newline at end of file
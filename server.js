@@ -1,16 +1,749 @@
 'use strict';
 
+var fs = require('fs');
+var path = require('path');
+var http = require('http');
 var conducto = require('conducto');
+var nomnom = require('nomnom');
 var owi535 = require('./lib/owi535');
+var joints = require('./lib/joints');
+var session = require('./lib/session');
+var SessionRecorder = require('./lib/SessionRecorder');
+var SequenceRunner = require('./lib/SequenceRunner');
+var config = require('./lib/config');
+var serve = require('./lib/static');
+var rest = require('./lib/rest');
+var auth = require('./lib/auth');
+var ControlLock = require('./lib/ControlLock');
+var commands = require('./commands');
+
+var opts = nomnom
+  .script('server')
+  .option('backend', {
+    abbr: 'b',
+    choices: ['usb', 'mock'],
+    help: 'device backend, default $OWI535_BACKEND or usb'
+  })
+  .option('arm', {
+    abbr: 'a',
+    help: 'id of the arm addressed by default, default the first one'
+  })
+  .option('limits', {
+    flag: true,
+    help: 'stop joints before their end stops, --no-limits to disable'
+  })
+  .option('host', {
+    help: 'address to listen on, default all of them'
+  })
+  .option('port', {
+    abbr: 'p',
+    help: 'port for both the web remote and its WebSocket, default 8080'
+  })
+  .option('sessions', {
+    help: 'directory for recorded sessions, default sessions'
+  })
+  .option('heartbeat', {
+    help: 'ms without heartbeat from the controlling client after which running motors are stopped, 0 to disable, default 1500'
+  })
+  .option('control-timeout', {
+    help: 'ms of inactivity after which a client loses control of the arm, 0 to disable, default 30000'
+  })
+  .option('auth', {
+    help: 'JSON file with the tokens and users allowed, default ' + auth.getFile() + ', authentication is disabled without'
+  })
+  .option('config', {
+    abbr: 'c',
+    help: 'JSON file with any of these options, flags take precedence, default ' + config.getFile()
+  })
+  .parse();
+
+var defaults = {
+  port: 8080,
+  sessions: 'sessions',
+  heartbeat: 1500,
+  'control-timeout': 30000
+};
+
+//startup errors are fatal
+var fail = function(message) {
+  console.error(message);
+  process.exit(1);
+};
+
+var conf = config.load(opts.config);
+if (conf instanceof Error)
+  return fail(conf.message);
+['backend', 'arm', 'limits', 'host', 'port', 'sessions', 'heartbeat', 'control-timeout', 'auth'].forEach(function(name) {
+  if (opts[name] === undefined)
+    opts[name] = conf[name] !== undefined ? conf[name] : defaults[name];
+});
+
+if (!/^\d+$/.test(opts.port) || Number(opts.port) > 65535)
+  return fail('invalid port ' + opts.port);
+opts.port = Number(opts.port);
+opts.heartbeat = parseInt(opts.heartbeat, 10) || 0;
+opts['control-timeout'] = parseInt(opts['control-timeout'], 10) || 0;
+
+var credentials = auth.load(opts.auth);
+if (credentials instanceof Error)
+  return fail(credentials.message);
+if (!credentials)
+  console.error('No ' + auth.getFile() + ', anyone can control the arm.');
+
+var arms = owi535.getArms({backend: opts.backend, limits: opts.limits});
+var arm = owi535.getArm({backend: opts.backend, id: opts.arm});
+if (!arm)
+  return fail(opts.arm ? 'No arm ' + opts.arm + ' found.' : 'No arm found.');
+
+//arm with id, the default one without
+var getArm = function(id) {
+  if (id === undefined)
+    return arm;
+
+  for (var i = 0; i < arms.length; i++) {
+    if (arms[i].id === id)
+      return arms[i];
+  }
+};
+
+var stopAll = function() {
+  arms.forEach(function(a) {
+    //reported by the arm error event
+    a.stop().catch(function() {});
+  });
+};
 
-var arm = owi535.getArm();
 var server = new conducto.Server();
 
-server.use('do', function(req, res) {
+//{id, name, connection, role} of each connected client, role is null until authenticated
+var clients = [];
+var nextId = 1;
+//connection which sent the last do message
+var controller = null;
+
+//one client controls the arm at a time
+var lock = new ControlLock(opts['control-timeout']);
+var describe = function(client) {
+  return client && {
+    id: client.id,
+    name: client.name
+  };
+};
+var getControl = function() {
+  return {
+    holder: describe(lock.holder),
+    queue: lock.queue.map(describe)
+  };
+};
+lock.on('change', function() {
+  broadcast('control', getControl());
+});
+lock.on('timeout', function(client) {
+  console.log(client.name + ' lost control for inactivity.');
+});
+
+var getClient = function(connection) {
+  for (var i = 0; i < clients.length; i++) {
+    if (clients[i].connection === connection)
+      return clients[i];
+  }
+};
+
+var getConfig = function() {
+  return {
+    heartbeat: opts.heartbeat,
+    limits: opts.limits !== false,
+    auth: Boolean(credentials),
+    arms: arms.map(getAvailability),
+    arm: arm.id
+  };
+};
+
+//what a client is told once it may watch the arm, later changes are broadcast
+var notifyAll = function(client) {
+  var connection = client.connection;
+  connection.notify('client', describe(client));
+  connection.notify('config', getConfig());
+  connection.notify('control', getControl());
+  arms.forEach(function(a) {
+    connection.notify('state', getState(a));
+  });
+};
+
+server.on('connection', function(connection) {
+  var id = nextId++;
+  var client = {
+    id: id,
+    name: 'client ' + id,
+    connection: connection,
+    //everyone is an admin without authentication
+    role: credentials ? null : 'admin'
+  };
+  clients.push(client);
+  if (client.role)
+    notifyAll(client);
+  connection.on('close', function() {
+    clients.splice(clients.indexOf(client), 1);
+    lock.release(client);
+    //dead-man switch, the stop sent on release may never arrive
+    if (connection === controller) {
+      controller = null;
+      stopAll();
+    }
+    //the same goes for a replay, aborting it stops its arm
+    if (replay && connection === replayer)
+      replay.abort();
+  });
+});
+
+//notify every authenticated client
+var broadcast = function(method, payload) {
+  clients.forEach(function(client) {
+    if (client.role)
+      client.connection.notify(method, payload);
+  });
+};
+
+//whether the client of req may drive the arm, that is nobody else holds control
+//returns false after responding with an error otherwise
+var checkControl = function(req, res) {
+  if (lock.allows(getClient(req.connection)))
+    return true;
+  res('control held by ' + lock.holder.name);
+  return false;
+};
+
+//the client of req takes control of the arm unless someone else holds it, see checkControl
+var takeControl = function(req, res) {
+  if (!checkControl(req, res))
+    return false;
+  lock.request(getClient(req.connection));
+  return true;
+};
+
+//handler for clients with at least role, see auth.roles
+//with control the client takes control of the arm, see takeControl
+var allow = function(role, handler, control) {
+  return function(req, res) {
+    var client = getClient(req.connection);
+    if (!client || !client.role)
+      return res('not authenticated');
+    if (!auth.can(client.role, role))
+      return res('not allowed, ' + role + ' role required');
+    if (control && !takeControl(req, res))
+      return;
+    handler(req, res);
+  };
+};
+
+//whether commands stop every motor, anyone may stop the arm regardless of control
+var isStop = function(commands) {
+  var list = joints.resolve([].concat(commands));
+  return !(list instanceof Error) && list.length > 0 && !list[0].joint;
+};
+
+var getAvailability = function(a) {
+  return {
+    id: a.id,
+    available: a.connected
+  };
+};
+
+//state of an arm, see GET /state
+var getState = function(a) {
+  var state = a.getState();
+  var motors = {};
+  joints.motors.forEach(function(name) {
+    motors[name] = state[name];
+  });
+  return {
+    arm: a.id,
+    connected: a.connected,
+    light: Boolean(state.light),
+    joints: motors,
+    positions: a.position
+  };
+};
+
+//ms between state messages while motors run, positions change all along
+var STATE_INTERVAL = 250;
+var stateInterval = null;
+
+//notify clients of the state of an arm, and of its positions until its motors stop
+var broadcastState = function(a) {
+  broadcast('state', getState(a));
+  if (stateInterval || !isMoving())
+    return;
+
+  stateInterval = setInterval(function() {
+    arms.filter(isArmMoving).forEach(function(moving) {
+      broadcast('state', getState(moving));
+    });
+    if (!isMoving()) {
+      clearInterval(stateInterval);
+      stateInterval = null;
+    }
+  }, STATE_INTERVAL);
+};
+
+var addArm = function(a) {
+  var onChange = function() {
+    broadcastState(a);
+  };
+  a.on('command', onChange);
+  a.on('stop', onChange);
+  a.on('attach', onChange);
+  a.on('detach', onChange);
+  a.on('error', function(err) {
+    console.error((a.id || 'arm') + ': ' + err.message);
+    broadcast('arm-error', {
+      arm: a.id,
+      message: err.message
+    });
+  });
+  a.on('limit', function(l) {
+    l.arm = a.id;
+    broadcast('limit', l);
+  });
+  a.on('attach', function() {
+    broadcast('arm', getAvailability(a));
+  });
+  a.on('detach', function() {
+    broadcast('arm', getAvailability(a));
+  });
+};
+arms.forEach(addArm);
+
+//arms plugged in later on
+owi535.on('error', function(err) {
+  console.error(err.message);
+});
+owi535.watch({backend: opts.backend, limits: opts.limits});
+owi535.on('attach', function(a) {
+  if (arms.indexOf(a) !== -1)
+    return;
+
+  arms.push(a);
+  addArm(a);
+  broadcast('arm', getAvailability(a));
+});
+
+var recorder = null;
+var replay = null;
+//connection which started the replay
+var replayer = null;
+
+var isArmMoving = function(a) {
+  return joints.motors.some(function(name) {
+    return a.joints[name];
+  });
+};
+
+var isMoving = function() {
+  return arms.some(isArmMoving);
+};
+
+//stop motors started by the controller unless it keeps sending heartbeats
+//the watchdog is dropped once another connection or an HTTP request takes over
+var watchdog = null;
+var watch = function() {
+  clearTimeout(watchdog);
+  if (!opts.heartbeat || !isMoving())
+    return;
+
+  var owner = controller;
+  watchdog = setTimeout(function() {
+    if (controller !== owner || !isMoving())
+      return;
+
+    console.error('Heartbeat lapsed, stopping the arms.');
+    stopAll();
+  }, opts.heartbeat);
+};
+
+var getSessionFile = function(name) {
+  if (typeof name !== 'string' || !/^[\w-]+$/.test(name))
+    return null;
+  return path.join(opts.sessions, name + '.jsonl');
+};
+
+//run commands on behalf of a connection, null for HTTP requests
+//untimed moves are stopped by the watchdog unless the connection keeps sending heartbeats
+//speed is optional, see Arm.prototype.exec
+var run = function(target, commands, time, connection, speed) {
+  //operators take over from a replay
+  if (replay)
+    replay.abort();
+
+  var valid = commands && !(joints.resolve([].concat(commands)) instanceof Error) && !joints.checkSpeed(speed);
+  if (recorder && valid)
+    recorder.record('do', speed === undefined ? commands : {commands: commands, speed: speed}, target.id);
+
+  //stopping leaves the heartbeats to the controller
+  if (!isStop(commands)) {
+    if (connection !== controller)
+      clearTimeout(watchdog);
+    controller = connection;
+  }
+  return target.exec(commands, time, speed).then(function() {
+    //sessions have no timed moves, the joints of the move are stopped once it is over
+    if (time && recorder && valid && !isStop(commands))
+      recorder.record('stop', getJoints(commands), target.id);
+    watch();
+  });
+};
+
+//stop some joints of an arm, the others carry on
+var halt = function(target, names) {
+  if (replay)
+    replay.abort();
+
+  if (recorder)
+    recorder.record('stop', names, target.id);
+
+  return target.stop(names).then(watch);
+};
+
+//joints driven by valid commands
+var getJoints = function(commands) {
+  return joints.resolve([].concat(commands)).map(function(c) {
+    return c.joint;
+  });
+};
+
+//names which are not joints of the arm
+var getUnknownJoints = function(names) {
+  return names.filter(function(name) {
+    return joints.names.indexOf(joints.aliases[name] || name) === -1;
+  });
+};
+
+//payload is {token} or {user, password}, responds with {role}
+server.use('auth', function(req, res) {
+  var client = getClient(req.connection);
+  if (!client)
+    return res('unknown connection');
+  if (!credentials)
+    return res(null, {role: client.role});
+
+  auth.authenticate(credentials, req.payload, function(role) {
+    if (!role)
+      return res('invalid credentials');
+
+    var first = !client.role;
+    client.role = role;
+    if (req.payload.user)
+      client.name = req.payload.user;
+    res(null, {role: role});
+    if (first)
+      notifyAll(client);
+    broadcast('control', getControl());
+  });
+});
+
+//take control of the arm or wait for it, responds with {granted}
+server.use('control-request', allow('operator', function(req, res) {
+  res(null, {granted: lock.request(getClient(req.connection))});
+}));
+
+//give up control of the arm or stop waiting for it
+server.use('control-release', allow('operator', function(req, res) {
+  lock.release(getClient(req.connection));
+  res();
+}));
+
+//payload is {heartbeat, limits}, both optional
+server.use('configure', allow('admin', function(req, res) {
+  var p = req.payload || {};
+  if (p.heartbeat !== undefined && !(typeof p.heartbeat === 'number' && p.heartbeat >= 0))
+    return res('invalid heartbeat');
+  if (p.limits !== undefined && typeof p.limits !== 'boolean')
+    return res('invalid limits');
+
+  if (p.heartbeat !== undefined) {
+    opts.heartbeat = p.heartbeat;
+    watch();
+  }
+  if (p.limits !== undefined) {
+    opts.limits = p.limits;
+    arms.forEach(function(a) {
+      a.limits = p.limits;
+      a.watch();
+    });
+  }
+  broadcast('config', getConfig());
+  res();
+}));
+
+//payload is a command name or a list of command names for the default arm
+//or {arm, commands, speed} to address an arm by id or slow motors down
+//stop is accepted from any operator, other commands take control
+server.use('do', allow('operator', function(req, res) {
   var p = req.payload;
   if (!p)
     return;
 
-  arm.exec(p);
+  var commands = p;
+  var target = arm;
+  var speed;
+  if (typeof p === 'object' && !Array.isArray(p)) {
+    commands = p.commands;
+    speed = p.speed;
+    target = getArm(p.arm);
+    if (!target)
+      return res('unknown arm ' + p.arm);
+  }
+  if (!isStop(commands) && !takeControl(req, res))
+    return;
+
+  run(target, commands, 0, req.connection, speed).then(function() {
+    res();
+  }, function(err) {
+    res(err.message);
+  });
+}));
+
+//payload is a joint name or a list of joint names for the default arm
+//or {arm, joints} to address an arm by id, refused while another client holds control
+//as the joints may be driven by that client, do stop stops everything regardless
+server.use('stop', allow('operator', function(req, res) {
+  var p = req.payload;
+  var names = p;
+  var target = arm;
+  if (p && typeof p === 'object' && !Array.isArray(p)) {
+    names = p.joints;
+    target = getArm(p.arm);
+    if (!target)
+      return res('unknown arm ' + p.arm);
+  }
+
+  names = names === undefined || names === null ? [] : [].concat(names);
+  var valid = names.length > 0 && names.every(function(name) {
+    return typeof name === 'string';
+  });
+  if (!valid)
+    return res('joints must be a joint name or a list of joint names');
+  var unknown = getUnknownJoints(names);
+  if (unknown.length > 0)
+    return res('unknown joint ' + unknown.join(', '));
+  if (!checkControl(req, res))
+    return;
+
+  halt(target, names).then(function() {
+    res();
+  }, function(err) {
+    res(err.message);
+  });
+}));
+
+//sent by the controlling client while motors are running
+server.use('heartbeat', allow('operator', function(req, res) {
+  if (req.connection === controller)
+    watch();
+  lock.touch(getClient(req.connection));
+  res();
+}));
+
+//payload is the session name to record do messages into
+server.use('record', allow('admin', function(req, res) {
+  var file = getSessionFile(req.payload);
+  if (!file)
+    return res('invalid session name');
+
+  try {
+    fs.mkdirSync(opts.sessions);
+  }
+  catch (err) {
+    if (err.code !== 'EEXIST')
+      return res(err.message);
+  }
+
+  if (recorder)
+    recorder.close();
+  var r = new SessionRecorder(file);
+  recorder = r;
+  var opened = false;
+  r.on('open', function() {
+    opened = true;
+    res();
+  });
+  //recording stops, the client which started it is told about later errors
+  r.on('error', function(err) {
+    if (recorder === r)
+      recorder = null;
+    console.error('Recording stopped, ' + err.message);
+    if (!opened)
+      return res(err.message);
+    if (getClient(req.connection))
+      req.connection.notify('record-error', {message: err.message});
+  });
+}));
+
+server.use('record-stop', allow('admin', function(req, res) {
+  if (!recorder)
+    return res('not recording');
+
+  recorder.close(function() {
+    res();
+  });
+  recorder = null;
+}));
+
+//payload is {name, speed, arm}, responds once the replay is over
+//only messages recorded for the arm are replayed
+server.use('replay', allow('operator', function(req, res) {
+  var p = req.payload || {};
+  var file = getSessionFile(p.name);
+  if (!file)
+    return res('invalid session name');
+  var target = getArm(p.arm);
+  if (!target)
+    return res('unknown arm ' + p.arm);
+  if (p.speed !== undefined && !(typeof p.speed === 'number' && p.speed > 0))
+    return res('invalid speed');
+
+  fs.readFile(file, 'utf8', function(err, text) {
+    if (err)
+      return res(err.code === 'ENOENT' ? 'unknown session ' + p.name : err.message);
+
+    var events = session.parse(text);
+    if (events instanceof Error)
+      return res(events.message);
+    events = events.filter(function(e) {
+      return !e.arm || e.arm === target.id;
+    });
+
+    if (replay)
+      replay.abort();
+    //the replay runs on its own, regardless of heartbeats
+    clearTimeout(watchdog);
+    controller = null;
+    var runner = new SequenceRunner(target, session.toSequence(events, p.speed));
+    replay = runner;
+    replayer = req.connection;
+    runner.start().then(function() {
+      res();
+    }, function(err) {
+      res(err.message);
+    }).then(function() {
+      if (replay === runner)
+        replay = null;
+    });
+  });
+}, true));
+
+server.use('replay-stop', allow('operator', function(req, res) {
+  if (!replay)
+    return res('not replaying');
+
+  replay.abort();
+  res();
+}, true));
+
+//REST route for requests with at least role, authenticated by their Authorization header
+//with control the request is refused while a client holds control of the arm
+var protect = function(role, route, control) {
+  return function(req, res, query, body) {
+    var check = function(granted) {
+      if (!granted)
+        return rest.error(res, 401, 'not authenticated');
+      if (!auth.can(granted, role))
+        return rest.error(res, 403, 'not allowed, ' + role + ' role required');
+      if (control && lock.holder)
+        return rest.error(res, 409, 'control held by ' + lock.holder.name);
+      route(req, res, query, body);
+    };
+    if (!credentials)
+      return check('admin');
+    auth.authenticate(credentials, auth.parseHeader(req.headers.authorization), check);
+  };
+};
+
+//REST API, ?arm=<id> or "arm" in the body addresses an arm other than the default one
+var routes = {
+  'GET /commands': protect('viewer', function(req, res) {
+    rest.send(res, 200, {
+      commands: Object.keys(commands),
+      joints: joints.names
+    });
+  }),
+  'GET /state': protect('viewer', function(req, res, query) {
+    var target = getArm(query.arm);
+    if (!target)
+      return rest.error(res, 404, 'unknown arm ' + query.arm);
+    rest.send(res, 200, getState(target));
+  }),
+  //body is {commands, time, speed}, commands being a command name or a list of them
+  //responds once the move is complete, without time motors run until the heartbeat timeout
+  'POST /commands': protect('operator', function(req, res, query, body) {
+    var id = body.arm !== undefined ? body.arm : query.arm;
+    var target = getArm(id);
+    if (!target)
+      return rest.error(res, 404, 'unknown arm ' + id);
+
+    var names = body.commands;
+    if (typeof names === 'string')
+      names = [names];
+    var valid = Array.isArray(names) && names.length > 0 && names.every(function(name) {
+      return typeof name === 'string';
+    });
+    if (!valid)
+      return rest.error(res, 400, 'commands must be a command name or a list of command names');
+    var list = joints.resolve(names);
+    if (list instanceof Error)
+      return rest.error(res, 400, list.message);
+    if (body.time !== undefined && !(typeof body.time === 'number' && body.time >= 0))
+      return rest.error(res, 400, 'time must be a number of ms');
+    var invalid = joints.checkSpeed(body.speed);
+    if (invalid)
+      return rest.error(res, 400, invalid.message);
+
+    run(target, names, body.time, null, body.speed).then(function() {
+      rest.send(res, 200, getState(target));
+    }, function(err) {
+      rest.error(res, 409, err.message);
+    });
+  }, true),
+  //body is {joints}, a joint or a list of joints, every motor without
+  //stopping every motor is accepted while a client holds control, stopping joints is not
+  'POST /stop': protect('operator', function(req, res, query, body) {
+    var id = body.arm !== undefined ? body.arm : query.arm;
+    var target = getArm(id);
+    if (!target)
+      return rest.error(res, 404, 'unknown arm ' + id);
+
+    var names = body.joints === undefined ? [] : [].concat(body.joints);
+    var unknown = getUnknownJoints(names);
+    if (unknown.length > 0)
+      return rest.error(res, 400, 'unknown joint ' + unknown.join(', '));
+    if (names.length > 0 && lock.holder)
+      return rest.error(res, 409, 'control held by ' + lock.holder.name);
+
+    var stopped = names.length > 0 ? halt(target, names) : run(target, 'stop', 0, null);
+    stopped.then(function() {
+      rest.send(res, 200, getState(target));
+    }, function(err) {
+      rest.error(res, 409, err.message);
+    });
+  })
+};
+
+//the web remote, the REST API and the WebSocket share the same port
+var httpServer = http.createServer(rest.handler(routes, serve(path.join(__dirname, 'public'))));
+//conducto accepts WebSocket connections from any origin, those of pages of other sites are refused before it sees them
+var emit = httpServer.emit;
+httpServer.emit = function(event, req, socket) {
+  if (event === 'upgrade' && !rest.isSameOrigin(req)) {
+    socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+    return true;
+  }
+  return emit.apply(this, arguments);
+};
+httpServer.on('error', function(err) {
+  console.error(err.message);
+  process.exit(1);
+});
+httpServer.listen(opts.port, opts.host, function() {
+  console.log('Listening on http://' + (opts.host || 'localhost') + ':' + opts.port + '/');
 });
-server.listen(8080);
\ No newline at end of file
+server.listen(httpServer);
@@ -0,0 +1,154 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+
+var Arm = require('../lib/Arm');
+var MockDevice = require('../lib/MockDevice');
+
+var create = function(options) {
+  return new Arm(new MockDevice(), options || {limits: false});
+};
+
+var getSent = function(arm) {
+  return arm.device.transfers.map(function(transfer) {
+    return transfer.data;
+  });
+};
+
+test('sends the merged bytes of running joints', function() {
+  var arm = create();
+  assert.ok(arm.device.opened);
+  arm.exec(['base-clockwise', 'light-on']);
+  arm.exec('shoulder-up');
+  assert.deepStrictEqual(getSent(arm), [[0, 2, 1], [64, 2, 1]]);
+  assert.strictEqual(arm.getState().shoulder, 'up');
+});
+
+test('stops joints independently of each other and of the light', function() {
+  var arm = create();
+  arm.exec(['base-left', 'elbow-up', 'light-on']);
+  arm.stop('base');
+  assert.deepStrictEqual(arm.device.getBytes(), [16, 0, 1]);
+  arm.stop();
+  assert.deepStrictEqual(arm.device.getBytes(), [0, 0, 1]);
+  return assert.rejects(arm.stop('knee'), /unknown joint knee/);
+});
+
+test('rejects invalid commands without sending anything', function() {
+  var arm = create();
+  return assert.rejects(arm.exec(['grip-open', 'grip-close']), /grip-open contradicts grip-close/).then(function() {
+    assert.deepStrictEqual(arm.device.transfers, []);
+  });
+});
+
+test('rejects speeds out of range', function() {
+  var arm = create();
+  return assert.rejects(arm.exec('grip-close', 0, 5), /speed/).then(function() {
+    assert.deepStrictEqual(arm.device.transfers, []);
+  });
+});
+
+test('reduced speeds toggle the motors', function() {
+  var arm = create();
+  var start = Date.now();
+  return arm.exec('base-anti-clockwise', 0, 50).then(function() {
+    return new Promise(function(resolve) {
+      setTimeout(resolve, 120);
+    });
+  }).then(function() {
+    var data = getSent(arm).map(function(bytes) {
+      return bytes[1];
+    });
+    assert.ok(data.indexOf(0) !== -1 && data.indexOf(1) !== -1);
+    //base runs at 20 degrees per second at full speed
+    var position = arm.position.base;
+    assert.ok(position > 0 && position < 20 * (Date.now() - start) / 1000);
+    return arm.stop();
+  });
+});
+
+test('timed moves run one after the other and stop their joints', function() {
+  var arm = create();
+  var first = arm.exec('grip-close', 20);
+  var second = arm.exec('wrist-up', 20);
+  assert.deepStrictEqual(arm.device.getBytes(), [1, 0, 0]);
+  return first.then(function() {
+    assert.deepStrictEqual(arm.device.getBytes(), [4, 0, 0]);
+    return second;
+  }).then(function() {
+    assert.deepStrictEqual(arm.device.getBytes(), [0, 0, 0]);
+  });
+});
+
+test('timed moves only stop the joints still running them', function() {
+  var arm = create();
+  var move = arm.exec(['elbow-up', 'wrist-up'], 20);
+  arm.exec('wrist-down');
+  return move.then(function() {
+    assert.deepStrictEqual(arm.device.getBytes(), [8, 0, 0]);
+  });
+});
+
+test('stopping every motor cancels queued moves', function() {
+  var arm = create();
+  var move = arm.exec('elbow-up', 1000);
+  var queued = arm.exec('elbow-down', 1000);
+  arm.stop();
+  return Promise.all([
+    assert.rejects(move, /move cancelled/),
+    assert.rejects(queued, /move cancelled/)
+  ]);
+});
+
+test('estimates positions from the run time of motors', function() {
+  var arm = create();
+  arm.setPosition({hand: 20});
+  return arm.exec(['base-left', 'grip-open'], 500).then(function() {
+    var position = arm.position;
+    assert.ok(Math.abs(Math.abs(position.base) - 10) < 1.5);
+    //the grip reached its end stop
+    assert.strictEqual(Math.abs(position.grip), 22.5);
+    assert.ok(arm.setPosition({knee: 0}) instanceof Error);
+  });
+});
+
+test('stops joints at their soft limits', function(t, done) {
+  var arm = create({});
+  arm.setPosition({hand: 18});
+  assert.rejects(arm.exec('grip-open'), /grip is at its max limit/).then(function() {
+    arm.setPosition({grip: 17});
+    arm.on('limit', function(e) {
+      assert.strictEqual(e.joint, 'grip');
+      assert.strictEqual(e.limit, 'max');
+      assert.strictEqual(arm.getState().grip, null);
+      done();
+    });
+    arm.exec('grip-open');
+  });
+});
+
+test('rejects moves once unplugged', function() {
+  var arm = create();
+  var move = arm.exec('base-left', 1000);
+  arm.device.attached = false;
+  arm.detach();
+  assert.ok(!arm.connected);
+  return Promise.all([
+    assert.rejects(move, /arm disconnected/),
+    assert.rejects(arm.exec('base-left'), /arm is not connected/)
+  ]);
+});
+
+test('failed transfers reject and emit error', function() {
+  var arm = create();
+  var errors = [];
+  arm.on('error', function(err) {
+    errors.push(err.message);
+  });
+  arm.device.attached = false;
+  return assert.rejects(arm.exec('light-on'), /LIBUSB_ERROR_NO_DEVICE/).then(function() {
+    assert.deepStrictEqual(errors, ['LIBUSB_ERROR_NO_DEVICE']);
+    return assert.rejects(arm.stop(), /LIBUSB_ERROR_NO_DEVICE/);
+  });
+});
@@ -0,0 +1,51 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+
+var ControlLock = require('../lib/ControlLock');
+
+test('grants control to one client at a time', function() {
+  var lock = new ControlLock();
+  var changes = [];
+  lock.on('change', function(holder, queue) {
+    changes.push([holder, queue.slice()]);
+  });
+
+  assert.ok(lock.allows('a'));
+  assert.ok(lock.request('a'));
+  assert.ok(!lock.request('b'));
+  assert.ok(!lock.request('b'));
+  assert.ok(!lock.allows('b'));
+  assert.ok(lock.request('a'));
+
+  lock.release('a');
+  assert.strictEqual(lock.holder, 'b');
+  lock.release('b');
+  assert.strictEqual(lock.holder, null);
+  assert.deepStrictEqual(changes, [['a', []], ['a', ['b']], ['b', []], [null, []]]);
+});
+
+test('queued clients may leave the queue', function() {
+  var lock = new ControlLock();
+  lock.request('a');
+  lock.request('b');
+  lock.release('b');
+  lock.release('c');
+  lock.release('a');
+  assert.strictEqual(lock.holder, null);
+});
+
+test('the holder loses control after the inactivity timeout', function(t, done) {
+  var lock = new ControlLock(20);
+  lock.request('a');
+  lock.request('b');
+  lock.on('timeout', function(client) {
+    assert.strictEqual(client, 'a');
+    setImmediate(function() {
+      assert.strictEqual(lock.holder, 'b');
+      lock.release('b');
+      done();
+    });
+  });
+});
@@ -0,0 +1,91 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+
+var Arm = require('../lib/Arm');
+var MockDevice = require('../lib/MockDevice');
+var SequenceRunner = require('../lib/SequenceRunner');
+var sequence = require('../lib/sequence');
+
+var create = function(text) {
+  var arm = new Arm(new MockDevice(), {limits: false});
+  return new SequenceRunner(arm, sequence.parse(text));
+};
+
+var wait = function(ms) {
+  return new Promise(function(resolve) {
+    setTimeout(resolve, ms);
+  });
+};
+
+test('runs steps in order and reports its progress', function() {
+  var runner = create('{"steps": [{"do": "light-on"}, {"do": "grip-close", "for": 20}, {"wait": 20}]}');
+  var progress = [];
+  runner.on('progress', function(done, total) {
+    progress.push(done + '/' + total);
+  });
+  return runner.start().then(function() {
+    assert.deepStrictEqual(progress, ['1/3', '2/3', '3/3']);
+    assert.deepStrictEqual(runner.arm.device.transfers.map(function(transfer) {
+      return transfer.data;
+    }), [[0, 0, 1], [1, 0, 1], [0, 0, 1]]);
+    assert.strictEqual(runner.state, 'done');
+    return assert.rejects(runner.start(), /sequence already started/);
+  });
+});
+
+test('pausing stops the arm, resuming carries on where it was left', function() {
+  var runner = create('{"steps": [{"do": "base-left", "for": 200}]}');
+  var device = runner.arm.device;
+  var started = Date.now();
+  var done = runner.start();
+  return wait(50).then(function() {
+    runner.pause();
+    assert.strictEqual(runner.state, 'paused');
+    assert.deepStrictEqual(device.getBytes(), [0, 0, 0]);
+    return wait(100);
+  }).then(function() {
+    runner.resume();
+    assert.deepStrictEqual(device.getBytes(), [0, 2, 0]);
+    return done;
+  }).then(function() {
+    assert.ok(Date.now() - started >= 300);
+    assert.deepStrictEqual(device.getBytes(), [0, 0, 0]);
+  });
+});
+
+test('aborting stops the arm and rejects', function() {
+  var runner = create('{"steps": [{"do": "elbow-up"}, {"wait": 1000}]}');
+  var done = runner.start();
+  return wait(20).then(function() {
+    assert.deepStrictEqual(runner.arm.device.getBytes(), [16, 0, 0]);
+    runner.abort();
+    assert.deepStrictEqual(runner.arm.device.getBytes(), [0, 0, 0]);
+    return assert.rejects(done, /sequence aborted/);
+  });
+});
+
+test('a failing step stops the arm and rejects', function() {
+  var runner = create('{"steps": [{"do": "light-on"}, {"do": "wrist-up", "for": 1000}]}');
+  var done = runner.start();
+  runner.arm.device.attached = false;
+  runner.arm.detach();
+  return assert.rejects(done, /arm disconnected|arm is not connected/).then(function() {
+    assert.strictEqual(runner.state, 'failed');
+  });
+});
+
+test('stop steps of replayed sessions stop their joints', function() {
+  var arm = new Arm(new MockDevice(), {limits: false});
+  var runner = new SequenceRunner(arm, {
+    steps: [
+      {do: ['base-left', 'elbow-up'], for: 0, repeat: 1},
+      {stop: ['base'], repeat: 1}
+    ],
+    sequences: {}
+  });
+  return runner.start().then(function() {
+    assert.deepStrictEqual(arm.device.getBytes(), [16, 0, 0]);
+  });
+});
@@ -0,0 +1,75 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+
+var Arm = require('../lib/Arm');
+var MockDevice = require('../lib/MockDevice');
+var Teleop = require('../lib/Teleop');
+var keymap = require('../lib/keymap');
+
+var create = function() {
+  var arm = new Arm(new MockDevice(), {limits: false});
+  return new Teleop(arm, keymap.defaults);
+};
+
+test('a key runs its command until it stops repeating', function(t, done) {
+  var teleop = create();
+  var device = teleop.arm.device;
+  teleop.on('release', function(name) {
+    assert.strictEqual(name, 'elbow-up');
+    setImmediate(function() {
+      assert.deepStrictEqual(device.getBytes(), [0, 0, 0]);
+      done();
+    });
+  });
+  teleop.press('w');
+  assert.deepStrictEqual(device.getBytes(), [16, 0, 0]);
+  //first repeat, then none
+  setTimeout(function() {
+    teleop.press('w');
+    assert.deepStrictEqual(device.getBytes(), [16, 0, 0]);
+    assert.strictEqual(device.transfers.length, 1);
+  }, 500);
+});
+
+test('a released key leaves its joint to the key which took it over', function() {
+  var teleop = create();
+  teleop.press('w');
+  teleop.press('s');
+  teleop.release('w');
+  assert.strictEqual(teleop.arm.getState().elbow, 'down');
+  return teleop.stop();
+});
+
+test('keys toggle the light, stop the arm and quit', function() {
+  var teleop = create();
+  var device = teleop.arm.device;
+  var quit = false;
+  teleop.on('quit', function() {
+    quit = true;
+  });
+  teleop.press('l');
+  teleop.press('left');
+  assert.deepStrictEqual(device.getBytes(), [0, 2, 1]);
+  teleop.press('space');
+  assert.deepStrictEqual(device.getBytes(), [0, 0, 1]);
+  assert.deepStrictEqual(teleop.held, {});
+  teleop.press('l');
+  assert.deepStrictEqual(device.getBytes(), [0, 0, 0]);
+  teleop.press('x');
+  teleop.press('q');
+  assert.ok(quit);
+});
+
+test('failed commands emit error', function(t, done) {
+  var teleop = create();
+  teleop.arm.device.attached = false;
+  teleop.arm.detach();
+  teleop.on('error', function(err) {
+    assert.strictEqual(err.message, 'arm is not connected');
+    assert.deepStrictEqual(teleop.held, {});
+    done();
+  });
+  teleop.press('up');
+});
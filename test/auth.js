@@ -0,0 +1,70 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+
+var auth = require('../lib/auth');
+
+var KEY = new Array(65).join('a');
+
+test('validates credentials', function() {
+  assert.strictEqual(auth.validate({
+    tokens: {secret: 'viewer'},
+    users: {sonny: {salt: 'ab', hash: KEY, role: 'admin'}}
+  }), undefined);
+  assert.strictEqual(auth.validate([]), undefined);
+  assert.strictEqual(auth.validate(null).message, 'credentials must be an object');
+  assert.strictEqual(auth.validate({tokens: {secret: 'root'}}).message, 'unknown role root for token secret');
+  assert.ok(/^plaintext password for user sonny/.test(auth.validate({
+    users: {sonny: {password: 'robot', role: 'admin'}}
+  }).message));
+  assert.strictEqual(auth.validate({
+    users: {sonny: {salt: 'ab', hash: 'abc', role: 'admin'}}
+  }).message, 'missing salt or hash for user sonny');
+});
+
+test('authenticates tokens and hashed passwords', function(t, done) {
+  auth.hash('robot', function(err, key) {
+    assert.ifError(err);
+    assert.strictEqual(auth.validate({users: {sonny: {salt: key.salt, hash: key.hash, role: 'operator'}}}), undefined);
+
+    var credentials = {
+      tokens: {secret: 'viewer'},
+      users: {sonny: {salt: key.salt, hash: key.hash, role: 'operator'}}
+    };
+    var cases = [
+      [{token: 'secret'}, 'viewer'],
+      [{token: 'guess'}, null],
+      [{user: 'sonny', password: 'robot'}, 'operator'],
+      [{user: 'sonny', password: 'robots'}, null],
+      [{user: 'toString', password: 'robot'}, null],
+      [undefined, null]
+    ];
+    var check = function(i) {
+      if (i === cases.length)
+        return done();
+      auth.authenticate(credentials, cases[i][0], function(role) {
+        assert.strictEqual(role, cases[i][1]);
+        check(i + 1);
+      });
+    };
+    check(0);
+  });
+});
+
+test('parses Authorization headers', function() {
+  assert.deepStrictEqual(auth.parseHeader('Bearer secret'), {token: 'secret'});
+  assert.deepStrictEqual(auth.parseHeader('Basic ' + Buffer.from('sonny:a:b').toString('base64')), {
+    user: 'sonny',
+    password: 'a:b'
+  });
+  assert.strictEqual(auth.parseHeader('Basic ' + Buffer.from('sonny').toString('base64')), null);
+  assert.strictEqual(auth.parseHeader(undefined), null);
+});
+
+test('roles grant what lower roles do', function() {
+  assert.ok(auth.can('admin', 'operator'));
+  assert.ok(auth.can('operator', 'operator'));
+  assert.ok(!auth.can('viewer', 'operator'));
+  assert.ok(!auth.can(null, 'viewer'));
+});
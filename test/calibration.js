@@ -0,0 +1,39 @@
+'use strict';
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var test = require('node:test');
+var assert = require('assert');
+
+var calibration = require('../lib/calibration');
+
+//load a profile from a temporary file
+var load = function(content) {
+  var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'owi535-'));
+  var file = path.join(dir, 'calibration.json');
+  fs.writeFileSync(file, content);
+  var profile = calibration.load(file);
+  fs.rmSync(dir, {recursive: true});
+  return profile;
+};
+
+test('missing figures are taken from the defaults', function() {
+  var profile = load('{"base": {"range": 200, "min": -10, "speed": {"clockwise": 30}}, "knee": {}}');
+  assert.strictEqual(profile.base.range, 200);
+  assert.strictEqual(profile.base.min, -10);
+  assert.deepStrictEqual(profile.base.speed, {'anti-clockwise': 20, 'clockwise': 30});
+  assert.deepStrictEqual(profile.grip, calibration.defaults.grip);
+  assert.ok(!('knee' in profile));
+});
+
+test('returns the defaults without a file', function() {
+  assert.deepStrictEqual(calibration.load(path.join(os.tmpdir(), 'owi535-missing', 'calibration.json')), calibration.defaults);
+});
+
+test('returns an Error for invalid profiles', function() {
+  assert.ok(/profile must be an object$/.test(load('[]').message));
+  assert.ok(/base must be an object$/.test(load('{"base": null}').message));
+  assert.ok(/speed of grip must be an object$/.test(load('{"grip": {"speed": 3}}').message));
+  assert.ok(load('{') instanceof Error);
+});
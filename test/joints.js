@@ -0,0 +1,51 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+
+var joints = require('../lib/joints');
+
+test('parses command names', function() {
+  assert.deepStrictEqual(joints.parse('hand-close'), {
+    name: 'hand-close',
+    joint: 'grip',
+    direction: 'close',
+    canonical: 'close',
+    sign: -1,
+    bytes: [1, 0, 0]
+  });
+  assert.strictEqual(joints.parse('stop').joint, null);
+  assert.strictEqual(joints.parse('foo'), null);
+});
+
+test('resolves commands into joints', function() {
+  assert.deepStrictEqual(joints.resolve(['shoulder-up', 'hand-close']).map(function(c) {
+    return c.joint;
+  }), ['shoulder', 'grip']);
+  assert.strictEqual(joints.resolve(['stop'])[0].joint, null);
+});
+
+test('rejects unknown and contradictory commands', function() {
+  assert.strictEqual(joints.resolve(['foo']).message, 'unknown command foo');
+  assert.strictEqual(joints.resolve(['base-left', 'base-right']).message, 'base-left contradicts base-right');
+  assert.strictEqual(joints.resolve(['stop', 'base-left']).message, 'stop cannot be combined with other commands');
+});
+
+test('merges the bytes of simultaneous commands', function() {
+  assert.deepStrictEqual(joints.merge(joints.resolve(['shoulder-up', 'base-left', 'light-on'])), [64, 2, 1]);
+  assert.ok(joints.isZero(joints.merge([])));
+});
+
+test('motors are every joint but the light', function() {
+  assert.deepStrictEqual(joints.names, ['base', 'shoulder', 'elbow', 'wrist', 'grip', 'light']);
+  assert.strictEqual(joints.motors.indexOf('light'), -1);
+});
+
+test('checks speeds', function() {
+  assert.strictEqual(joints.checkSpeed(undefined), undefined);
+  assert.strictEqual(joints.checkSpeed(50), undefined);
+  assert.strictEqual(joints.checkSpeed({hand: 10, base: 100}), undefined);
+  assert.ok(joints.checkSpeed(joints.MIN_SPEED - 1) instanceof Error);
+  assert.ok(joints.checkSpeed(null) instanceof Error);
+  assert.strictEqual(joints.checkSpeed({light: 50}).message, 'unknown joint light');
+});
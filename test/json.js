@@ -0,0 +1,29 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+
+var json = require('../lib/json');
+
+test('parses values and keeps their positions', function() {
+  var parsed = json.parse('{\n  "a": [1, {"b": true}],\n  "c": "\\u0041\\n"\n}');
+  assert.deepStrictEqual(parsed.value, {a: [1, {b: true}], c: 'A\n'});
+  assert.deepStrictEqual(parsed.positions[''], {line: 1, column: 1});
+  assert.deepStrictEqual(parsed.positions['a'], {line: 2, column: 8});
+  assert.deepStrictEqual(parsed.positions['a/1/b'], {line: 2, column: 18});
+});
+
+test('parses numbers, null and nested arrays', function() {
+  assert.deepStrictEqual(json.parse('[-1.5e2, 0, null, [false, []]]').value, [-150, 0, null, [false, []]]);
+});
+
+test('returns an Error with line and column for invalid JSON', function() {
+  var err = json.parse('{\n  "a": }');
+  assert.ok(err instanceof Error);
+  assert.strictEqual(err.line, 2);
+  assert.strictEqual(err.column, 8);
+});
+
+test('rejects trailing content', function() {
+  assert.ok(json.parse('{} {}') instanceof Error);
+});
@@ -0,0 +1,97 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+
+var owi535 = require('../lib/owi535');
+var MockDevice = require('../lib/MockDevice');
+var calibration = require('../lib/calibration');
+var mock = require('../lib/backends/mock');
+
+var options = {
+  backend: 'mock',
+  calibration: calibration.defaults
+};
+
+test.before(function() {
+  owi535.watch(options);
+});
+
+test.after(function() {
+  owi535.unwatch(options);
+});
+
+test('ids are the bus and port path of devices', function() {
+  assert.strictEqual(owi535.getId(new MockDevice({busNumber: 1, portNumbers: [1, 4]})), '1-1.4');
+  assert.strictEqual(owi535.getId(new MockDevice({busNumber: 2, deviceAddress: 7, portNumbers: []})), '2-7');
+});
+
+test('finds arms by id', function() {
+  var arms = owi535.getArms(options);
+  assert.strictEqual(arms.length, 1);
+  assert.ok(arms[0].device instanceof MockDevice);
+  assert.strictEqual(owi535.getArm(options), arms[0]);
+  assert.strictEqual(owi535.getArm({backend: 'mock', id: arms[0].id}), arms[0]);
+  assert.strictEqual(owi535.getArm({backend: 'mock', id: '9-9'}), undefined);
+  assert.throws(function() {
+    owi535.getArms({backend: 'serial'});
+  }, /unknown backend serial/);
+});
+
+test('follows arms being unplugged and plugged back in', function() {
+  var events = [];
+  var onAttach = function(arm) {
+    events.push(['attach', arm]);
+  };
+  var onDetach = function(arm) {
+    events.push(['detach', arm]);
+  };
+  owi535.on('attach', onAttach);
+  owi535.on('detach', onDetach);
+
+  var device = new MockDevice({busNumber: 3, portNumbers: [2]});
+  mock.attach(device);
+  var arm = events[0][1];
+  assert.strictEqual(arm.id, '3-2');
+  assert.ok(arm.connected);
+
+  mock.detach(device);
+  assert.ok(!arm.connected);
+  var unplugged = arm.exec('light-on');
+
+  var again = new MockDevice({busNumber: 3, deviceAddress: 9, portNumbers: [2]});
+  mock.attach(again);
+  assert.strictEqual(arm.device, again);
+  assert.ok(again.opened);
+  assert.deepStrictEqual(events.map(function(e) {
+    return [e[0], e[1] === arm];
+  }), [['attach', true], ['detach', true], ['attach', true]]);
+
+  owi535.removeListener('attach', onAttach);
+  owi535.removeListener('detach', onDetach);
+  mock.detach(again);
+  return assert.rejects(unplugged, /arm is not connected/);
+});
+
+test('arms failing to open are tried again', function(t, done) {
+  var device = new MockDevice({busNumber: 4, portNumbers: [1]});
+  var failures = 1;
+  device.open = function() {
+    if (failures-- > 0)
+      throw new Error('LIBUSB_ERROR_ACCESS');
+    MockDevice.prototype.open.call(this);
+  };
+  var errors = [];
+  var onError = function(err) {
+    errors.push(err.message);
+  };
+  owi535.on('error', onError);
+  owi535.once('attach', function(arm) {
+    assert.strictEqual(arm.id, '4-1');
+    assert.deepStrictEqual(errors, ['cannot open arm 4-1, LIBUSB_ERROR_ACCESS, retrying']);
+    owi535.removeListener('error', onError);
+    mock.detach(device);
+    done();
+  });
+  mock.attach(device);
+});
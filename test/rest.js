@@ -0,0 +1,106 @@
+'use strict';
+
+var http = require('http');
+var test = require('node:test');
+var assert = require('assert');
+
+var rest = require('../lib/rest');
+
+var server = http.createServer(rest.handler({
+  'GET /echo': function(req, res, query) {
+    rest.send(res, 200, {query: query});
+  },
+  'POST /echo': function(req, res, query, body) {
+    rest.send(res, 201, {query: query, body: body});
+  }
+}, function(req, res) {
+  rest.error(res, 404, 'not found');
+}));
+
+var request = function(method, pathname, body, headers) {
+  return new Promise(function(resolve, reject) {
+    var req = http.request({
+      host: '127.0.0.1',
+      port: server.address().port,
+      method: method,
+      path: pathname,
+      headers: headers || {'Content-Type': 'application/json'}
+    }, function(res) {
+      var text = '';
+      res.setEncoding('utf8');
+      res.on('data', function(chunk) {
+        text += chunk;
+      });
+      res.on('end', function() {
+        resolve({
+          status: res.statusCode,
+          body: JSON.parse(text)
+        });
+      });
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+};
+
+test.before(function(t, done) {
+  server.listen(0, '127.0.0.1', done);
+});
+
+test.after(function() {
+  server.close();
+});
+
+test('routes requests by method and path', function() {
+  return Promise.all([
+    request('GET', '/echo?arm=1-1'),
+    request('POST', '/echo', '{"commands": "light-on"}'),
+    request('POST', '/echo', ''),
+    request('DELETE', '/echo'),
+    request('GET', '/other')
+  ]).then(function(responses) {
+    assert.deepStrictEqual(responses, [
+      {status: 200, body: {query: {arm: '1-1'}}},
+      {status: 201, body: {query: {}, body: {commands: 'light-on'}}},
+      {status: 201, body: {query: {}, body: {}}},
+      {status: 405, body: {error: 'method not allowed'}},
+      {status: 404, body: {error: 'not found'}}
+    ]);
+  });
+});
+
+test('POST bodies must be JSON objects', function() {
+  return Promise.all([
+    request('POST', '/echo', '{"commands": '),
+    request('POST', '/echo', '[]'),
+    request('POST', '/echo', new Array(70 * 1024).join(' ') + '{}')
+  ]).then(function(responses) {
+    assert.deepStrictEqual(responses.map(function(res) {
+      return res.status;
+    }), [400, 400, 400]);
+    assert.strictEqual(responses[1].body.error, 'body must be a JSON object');
+    assert.strictEqual(responses[2].body.error, 'request body too large');
+  });
+});
+
+test('POST bodies must be sent as application/json', function() {
+  return Promise.all([
+    request('POST', '/echo', '{}', {'Content-Type': 'application/json; charset=utf-8'}),
+    request('POST', '/echo', '{}', {'Content-Type': 'text/plain'}),
+    request('POST', '/echo', '{}', {})
+  ]).then(function(responses) {
+    assert.deepStrictEqual(responses.map(function(res) {
+      return res.status;
+    }), [201, 415, 415]);
+  });
+});
+
+test('tells requests from pages of other sites', function() {
+  var req = function(headers) {
+    return {headers: headers};
+  };
+  assert.ok(rest.isSameOrigin(req({host: 'arm:8080'})));
+  assert.ok(rest.isSameOrigin(req({host: 'arm:8080', origin: 'http://arm:8080'})));
+  assert.ok(!rest.isSameOrigin(req({host: 'arm:8080', origin: 'http://example.com'})));
+  assert.ok(!rest.isSameOrigin(req({host: 'arm:8080', origin: 'null'})));
+});
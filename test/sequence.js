@@ -0,0 +1,48 @@
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var test = require('node:test');
+var assert = require('assert');
+
+var sequence = require('../lib/sequence');
+
+var messages = function(text) {
+  return sequence.validate(text).map(function(err) {
+    return err.message;
+  });
+};
+
+test('validates the example', function() {
+  var text = fs.readFileSync(path.join(__dirname, '..', 'example.json'), 'utf8');
+  assert.deepStrictEqual(sequence.validate(text), []);
+});
+
+test('reports invalid steps with their position', function() {
+  assert.deepStrictEqual(messages('{"steps": [\n  {"do": "foo"},\n  {"wait": -1},\n  {"do": "light-on", "wait": 1}\n]}'), [
+    'line 2, column 10: unknown command foo',
+    'line 3, column 12: wait must be a positive number of ms',
+    'line 4, column 3: step must have exactly one of do, wait or run'
+  ]);
+  assert.deepStrictEqual(messages('{"steps": [{"do": "grip-close", "speed": 5}]}'), [
+    'line 1, column 42: speed must be between 10 and 100'
+  ]);
+});
+
+test('reports sequences running themselves', function() {
+  var errors = messages('{"sequences": {"a": [{"run": "b"}], "b": [{"run": "a"}]}, "steps": [{"run": "a"}]}');
+  assert.strictEqual(errors.length, 2);
+  assert.ok(/runs itself/.test(errors[0]));
+});
+
+test('parses and flattens sub-sequences and repeats', function() {
+  var parsed = sequence.parse('{"sequences": {"wave": [{"do": "wrist-up", "for": 100}]},\n' +
+    '"steps": [{"run": "wave", "repeat": 2}, {"wait": 50}, {"do": "grip-close", "speed": 30}]}');
+  var steps = sequence.flatten(parsed);
+  assert.deepStrictEqual(steps.map(function(step) {
+    return step.do ? step.do.join() : 'wait ' + step.wait;
+  }), ['wrist-up', 'wrist-up', 'wait 50', 'grip-close']);
+  assert.strictEqual(steps[0].line, 1);
+  assert.strictEqual(steps[3].speed, 30);
+  assert.strictEqual(steps[3].for, 0);
+});
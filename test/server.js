@@ -0,0 +1,440 @@
+'use strict';
+
+var EventEmitter = require('events').EventEmitter;
+var Module = require('module');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var http = require('http');
+var util = require('util');
+var test = require('node:test');
+var assert = require('assert');
+
+//server.js is driven through a stand-in for the conducto server
+//connections are emitters recording the messages they are notified of, see connect
+var conducto = {};
+conducto.Server = function() {
+  EventEmitter.call(this);
+  this.methods = {};
+  conducto.server = this;
+};
+util.inherits(conducto.Server, EventEmitter);
+conducto.Server.prototype.use = function(method, handler) {
+  this.methods[method] = handler;
+};
+//WebSocket connections are accepted then closed
+conducto.Server.prototype.listen = function(httpServer) {
+  this.httpServer = httpServer;
+  httpServer.on('upgrade', function(req, socket) {
+    socket.end('HTTP/1.1 101 Switching Protocols\r\nConnection: Upgrade\r\nUpgrade: websocket\r\n\r\n');
+  });
+};
+
+var load = Module._load;
+Module._load = function(request) {
+  return request === 'conducto' ? conducto : load.apply(this, arguments);
+};
+
+var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'owi535-'));
+fs.writeFileSync(path.join(dir, 'auth.json'), JSON.stringify({
+  tokens: {
+    admin: 'admin',
+    alice: 'operator',
+    bob: 'operator',
+    viewer: 'viewer'
+  }
+}));
+process.env.HOME = dir;
+process.env.OWI535_BACKEND = 'mock';
+process.argv = [process.argv[0], 'server.js', '--host', '127.0.0.1', '--port', '0', '--heartbeat', '200',
+  '--sessions', path.join(dir, 'sessions'), '--auth', path.join(dir, 'auth.json')];
+//silence the server logs
+console.log = function() {};
+console.error = function() {};
+
+require('../server');
+var server = conducto.server;
+var arm = require('../lib/owi535').getArm();
+var device = arm.device;
+
+var connections = [];
+//returns a promise of a new connection, authenticated with token if given
+var connect = function(token) {
+  var connection = new EventEmitter();
+  connection.messages = [];
+  connection.notify = function(method, payload) {
+    connection.messages.push({method: method, payload: payload});
+  };
+  connections.push(connection);
+  server.emit('connection', connection);
+  if (!token)
+    return Promise.resolve(connection);
+  return call(connection, 'auth', {token: token}).then(function() {
+    return connection;
+  });
+};
+//returns a promise of the response to a message, rejected with the error message
+var call = function(connection, method, payload) {
+  return new Promise(function(resolve, reject) {
+    server.methods[method]({connection: connection, payload: payload}, function(err, result) {
+      if (err)
+        reject(new Error(err));
+      else
+        resolve(result);
+    });
+  });
+};
+var close = function(connection) {
+  connections.splice(connections.indexOf(connection), 1);
+  connection.emit('close');
+};
+
+//returns a promise of {status, body}
+var request = function(method, pathname, body, token) {
+  return new Promise(function(resolve, reject) {
+    var headers = {'Content-Type': 'application/json'};
+    if (token)
+      headers.Authorization = 'Bearer ' + token;
+    var req = http.request({
+      host: '127.0.0.1',
+      port: server.httpServer.address().port,
+      method: method,
+      path: pathname,
+      headers: headers
+    }, function(res) {
+      var text = '';
+      res.setEncoding('utf8');
+      res.on('data', function(chunk) {
+        text += chunk;
+      });
+      res.on('end', function() {
+        resolve({
+          status: res.statusCode,
+          body: text && JSON.parse(text)
+        });
+      });
+    });
+    req.on('error', reject);
+    req.end(body === undefined ? undefined : JSON.stringify(body));
+  });
+};
+
+var wait = function(ms) {
+  return new Promise(function(resolve) {
+    setTimeout(resolve, ms);
+  });
+};
+
+test.before(function(t, done) {
+  if (server.httpServer.listening)
+    return done();
+  server.httpServer.on('listening', done);
+});
+
+test.afterEach(function() {
+  connections.slice().forEach(close);
+  return arm.stop().then(function() {
+    return arm.stop('light');
+  });
+});
+
+test.after(function() {
+  server.httpServer.close();
+  fs.rmSync(dir, {recursive: true});
+});
+
+test('clients are told nothing and may do nothing until authenticated', function() {
+  return connect().then(function(connection) {
+    assert.deepStrictEqual(connection.messages, []);
+    return assert.rejects(call(connection, 'do', 'light-on'), /not authenticated/).then(function() {
+      return assert.rejects(call(connection, 'auth', {token: 'guess'}), /invalid credentials/);
+    }).then(function() {
+      return call(connection, 'auth', {token: 'viewer'});
+    }).then(function(result) {
+      assert.deepStrictEqual(result, {role: 'viewer'});
+      assert.deepStrictEqual(connection.messages.map(function(m) {
+        return m.method;
+      }), ['client', 'config', 'control', 'state', 'control']);
+      return assert.rejects(call(connection, 'do', 'light-on'), /operator role required/);
+    });
+  });
+});
+
+test('REST requests need credentials', function() {
+  return Promise.all([
+    request('GET', '/state'),
+    request('GET', '/state', undefined, 'viewer'),
+    request('POST', '/commands', {commands: 'light-on'}, 'viewer')
+  ]).then(function(responses) {
+    assert.deepStrictEqual(responses.map(function(res) {
+      return res.status;
+    }), [401, 200, 403]);
+    assert.strictEqual(responses[1].body.light, false);
+  });
+});
+
+test('clients are notified of the state of the arm', function() {
+  var viewer;
+  return connect('viewer').then(function(connection) {
+    viewer = connection;
+    return connect('alice');
+  }).then(function(alice) {
+    viewer.messages = [];
+    return call(alice, 'do', ['base-left', 'light-on']);
+  }).then(function() {
+    var states = viewer.messages.filter(function(m) {
+      return m.method === 'state';
+    });
+    var state = states[states.length - 1].payload;
+    assert.strictEqual(state.light, true);
+    assert.strictEqual(state.joints.base, 'left');
+  });
+});
+
+test('the client driving the arm holds control, others may only stop every motor', function() {
+  var alice, bob;
+  return Promise.all([connect('alice'), connect('bob')]).then(function(clients) {
+    alice = clients[0];
+    bob = clients[1];
+    return call(alice, 'do', 'elbow-up');
+  }).then(function() {
+    assert.deepStrictEqual(device.getBytes(), [16, 0, 0]);
+    return Promise.all([
+      assert.rejects(call(bob, 'do', 'base-left'), /control held by client/),
+      assert.rejects(call(bob, 'stop', ['elbow']), /control held by/),
+      request('POST', '/commands', {commands: 'base-left'}, 'bob'),
+      request('POST', '/stop', {joints: 'elbow'}, 'bob')
+    ]);
+  }).then(function(results) {
+    assert.strictEqual(results[2].status, 409);
+    assert.strictEqual(results[3].status, 409);
+    assert.deepStrictEqual(device.getBytes(), [16, 0, 0]);
+    return call(bob, 'do', 'stop');
+  }).then(function() {
+    assert.deepStrictEqual(device.getBytes(), [0, 0, 0]);
+    return call(bob, 'control-request');
+  }).then(function(result) {
+    assert.deepStrictEqual(result, {granted: false});
+    return call(alice, 'stop', ['elbow']);
+  });
+});
+
+test('POST /stop without joints stops every motor while a client holds control', function() {
+  return connect('alice').then(function(alice) {
+    return call(alice, 'do', ['base-left', 'light-on']);
+  }).then(function() {
+    return request('POST', '/stop', {}, 'bob');
+  }).then(function(res) {
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(device.getBytes(), [0, 0, 1]);
+  });
+});
+
+test('do messages are recorded into sessions', function() {
+  var connection;
+  return connect('admin').then(function(admin) {
+    connection = admin;
+    return call(connection, 'record', 'short');
+  }).then(function() {
+    return call(connection, 'do', ['grip-close', 'light-on']);
+  }).then(function() {
+    return call(connection, 'do', 'stop');
+  }).then(function() {
+    return call(connection, 'record-stop');
+  }).then(function() {
+    var lines = fs.readFileSync(path.join(dir, 'sessions', 'short.jsonl'), 'utf8').trim().split('\n');
+    assert.deepStrictEqual(lines.map(function(line) {
+      var e = JSON.parse(line);
+      return [e.method, e.payload];
+    }), [['do', ['grip-close', 'light-on']], ['do', 'stop']]);
+    return assert.rejects(call(connection, 'record', '../short'), /invalid session name/);
+  });
+});
+
+test('stop messages stop the joints given and are recorded', function() {
+  var connection;
+  return connect('admin').then(function(admin) {
+    connection = admin;
+    return call(connection, 'record', 'joints');
+  }).then(function() {
+    return call(connection, 'do', ['base-left', 'elbow-up']);
+  }).then(function() {
+    return call(connection, 'stop', 'base');
+  }).then(function() {
+    assert.deepStrictEqual(device.getBytes(), [16, 0, 0]);
+    return assert.rejects(call(connection, 'stop', 'knee'), /unknown joint knee/);
+  }).then(function() {
+    return call(connection, 'record-stop');
+  }).then(function() {
+    var lines = fs.readFileSync(path.join(dir, 'sessions', 'joints.jsonl'), 'utf8').trim().split('\n');
+    assert.deepStrictEqual(lines.map(function(line) {
+      var e = JSON.parse(line);
+      return [e.method, e.payload];
+    }), [['do', ['base-left', 'elbow-up']], ['stop', ['base']]]);
+  });
+});
+
+test('the arm stops when the controlling client disconnects', function() {
+  return connect('alice').then(function(alice) {
+    return call(alice, 'do', 'wrist-up').then(function() {
+      close(alice);
+      assert.deepStrictEqual(device.getBytes(), [0, 0, 0]);
+    });
+  });
+});
+
+test('motors stop once the heartbeats of the controlling client lapse', function() {
+  var alice, heartbeats;
+  return connect('alice').then(function(connection) {
+    alice = connection;
+    heartbeats = setInterval(function() {
+      call(alice, 'heartbeat');
+    }, 50);
+    return call(alice, 'do', 'shoulder-up');
+  }).then(function() {
+    return wait(400);
+  }).then(function() {
+    assert.deepStrictEqual(device.getBytes(), [64, 0, 0]);
+    clearInterval(heartbeats);
+    return wait(400);
+  }).then(function() {
+    assert.deepStrictEqual(device.getBytes(), [0, 0, 0]);
+  });
+});
+
+test('REST requests read the state and move the arm', function() {
+  return request('POST', '/commands', {commands: ['base-left', 'light-on']}, 'alice').then(function(res) {
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.joints.base, 'left');
+    assert.deepStrictEqual(device.getBytes(), [0, 2, 1]);
+    return Promise.all([
+      request('GET', '/state', undefined, 'viewer'),
+      request('POST', '/stop', {joints: 'base'}, 'alice'),
+      request('POST', '/commands', {commands: 'knee-up'}, 'alice')
+    ]);
+  }).then(function(responses) {
+    assert.strictEqual(responses[0].body.light, true);
+    assert.strictEqual(responses[1].status, 200);
+    assert.strictEqual(responses[2].status, 400);
+    assert.deepStrictEqual(device.getBytes(), [0, 0, 1]);
+  });
+});
+
+test('moves at reduced speed are recorded with their speed', function() {
+  var admin;
+  return connect('admin').then(function(connection) {
+    admin = connection;
+    return call(admin, 'record', 'slow');
+  }).then(function() {
+    return request('POST', '/commands', {commands: 'base-left', speed: 5}, 'admin');
+  }).then(function(res) {
+    assert.strictEqual(res.status, 400);
+    return call(admin, 'do', {commands: 'grip-close', speed: 40});
+  }).then(function() {
+    return assert.rejects(call(admin, 'do', {commands: 'base-left', speed: 5}), /speed/);
+  }).then(function() {
+    return call(admin, 'record-stop');
+  }).then(function() {
+    var e = JSON.parse(fs.readFileSync(path.join(dir, 'sessions', 'slow.jsonl'), 'utf8').trim().split('\n')[0]);
+    assert.deepStrictEqual(e.payload, {commands: 'grip-close', speed: 40});
+  });
+});
+
+test('timed REST moves are recorded with the stop of their joints', function() {
+  var admin;
+  return connect('admin').then(function(connection) {
+    admin = connection;
+    return call(admin, 'record', 'timed');
+  }).then(function() {
+    return request('POST', '/commands', {commands: ['grip-close', 'light-on'], time: 50}, 'alice');
+  }).then(function(res) {
+    assert.strictEqual(res.status, 200);
+    return call(admin, 'record-stop');
+  }).then(function() {
+    var lines = fs.readFileSync(path.join(dir, 'sessions', 'timed.jsonl'), 'utf8').trim().split('\n');
+    assert.deepStrictEqual(lines.map(function(line) {
+      var e = JSON.parse(line);
+      return [e.method, e.payload];
+    }), [['do', ['grip-close', 'light-on']], ['stop', ['grip', 'light']]]);
+  });
+});
+
+test('a replay stops with the connection which started it', function() {
+  var admin, alice, replay;
+  return connect('admin').then(function(connection) {
+    admin = connection;
+    return call(admin, 'record', 'long');
+  }).then(function() {
+    return call(admin, 'do', 'base-left');
+  }).then(function() {
+    return wait(300);
+  }).then(function() {
+    return call(admin, 'stop', 'base');
+  }).then(function() {
+    return call(admin, 'record-stop');
+  }).then(function() {
+    close(admin);
+    return connect('alice');
+  }).then(function(connection) {
+    alice = connection;
+    replay = call(alice, 'replay', {name: 'long'});
+    return wait(100);
+  }).then(function() {
+    assert.deepStrictEqual(device.getBytes(), [0, 2, 0]);
+    close(alice);
+    assert.deepStrictEqual(device.getBytes(), [0, 0, 0]);
+    return assert.rejects(replay, /sequence aborted/);
+  });
+});
+
+test('POST requests must be sent as JSON', function() {
+  return new Promise(function(resolve, reject) {
+    var req = http.request({
+      host: '127.0.0.1',
+      port: server.httpServer.address().port,
+      method: 'POST',
+      path: '/commands',
+      headers: {'Content-Type': 'text/plain'}
+    }, function(res) {
+      res.resume();
+      resolve(res.statusCode);
+    });
+    req.on('error', reject);
+    req.end('{"commands": "light-on"}');
+  }).then(function(status) {
+    assert.strictEqual(status, 415);
+    assert.deepStrictEqual(device.getBytes(), [0, 0, 0]);
+  });
+});
+
+test('WebSocket connections from pages of other sites are refused', function() {
+  var upgrade = function(origin) {
+    return new Promise(function(resolve, reject) {
+      var req = http.request({
+        host: '127.0.0.1',
+        port: server.httpServer.address().port,
+        path: '/',
+        headers: {
+          Connection: 'Upgrade',
+          Upgrade: 'websocket',
+          Origin: origin
+        }
+      }, function(res) {
+        res.resume();
+        resolve(res.statusCode);
+      });
+      req.on('upgrade', function(res, socket) {
+        socket.destroy();
+        resolve(res.statusCode);
+      });
+      req.on('error', reject);
+      req.end();
+    });
+  };
+  return Promise.all([
+    upgrade('http://127.0.0.1:' + server.httpServer.address().port),
+    upgrade('http://example.com')
+  ]).then(function(statuses) {
+    assert.deepStrictEqual(statuses, [101, 403]);
+  });
+});
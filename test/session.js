@@ -0,0 +1,31 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+
+var session = require('../lib/session');
+
+test('parses session files', function() {
+  var events = session.parse('{"time": 0, "method": "do", "payload": "base-left"}\n\n' +
+    '{"time": 250, "method": "stop", "payload": "base"}\n');
+  assert.strictEqual(events.length, 2);
+  assert.strictEqual(events[1].line, 3);
+
+  var err = session.parse('{"time": 10, "method": "do"}\n{"time": 5, "method": "do"}');
+  assert.strictEqual(err.message, 'line 2: invalid message');
+  assert.strictEqual(session.parse('{"time": 0, "method": "config"}').line, 1);
+});
+
+test('turns sessions into sequences', function() {
+  var events = session.parse([
+    '{"time": 1000, "method": "do", "payload": ["base-left", "light-on"]}',
+    '{"time": 1500, "method": "do", "payload": {"commands": "grip-close", "speed": 40}}',
+    '{"time": 1500, "method": "stop", "payload": "base"}'
+  ].join('\n'));
+  assert.deepStrictEqual(session.toSequence(events, 2).steps, [
+    {do: ['base-left', 'light-on'], for: 0, repeat: 1, line: 1},
+    {wait: 250, repeat: 1, line: 2},
+    {do: ['grip-close'], for: 0, speed: 40, repeat: 1, line: 2},
+    {stop: ['base'], repeat: 1, line: 3}
+  ]);
+});
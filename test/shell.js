@@ -0,0 +1,37 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+
+var shell = require('../lib/shell');
+
+test('parses commands with an optional time', function() {
+  assert.deepStrictEqual(shell.parse('  base-left,light-on 0 '), {
+    action: 'exec',
+    commands: ['base-left', 'light-on'],
+    time: 0
+  });
+  assert.strictEqual(shell.parse('grip-close').time, shell.DEFAULT_TIME);
+  assert.strictEqual(shell.parse('   '), null);
+});
+
+test('parses stop and shell words', function() {
+  assert.deepStrictEqual(shell.parse('stop'), {action: 'stop', joints: []});
+  assert.deepStrictEqual(shell.parse('stop base hand'), {action: 'stop', joints: ['base', 'hand']});
+  assert.deepStrictEqual(shell.parse('state'), {action: 'state'});
+});
+
+test('returns an Error for invalid lines', function() {
+  assert.strictEqual(shell.parse('stop knee').message, 'unknown joint knee');
+  assert.strictEqual(shell.parse('help me').message, 'help takes no argument');
+  assert.strictEqual(shell.parse('grip-close soon').message, 'invalid time soon');
+  assert.strictEqual(shell.parse('grip-close 1 2').message, 'too many arguments');
+  assert.ok(shell.parse('foo') instanceof Error);
+});
+
+test('completes commands, shell words and joints', function() {
+  assert.deepStrictEqual(shell.complete('sh')[0], ['shoulder-up', 'shoulder-down']);
+  assert.deepStrictEqual(shell.complete('st')[0], ['stop', 'state']);
+  assert.deepStrictEqual(shell.complete('light-on,gr'), [['light-on,grip-open', 'light-on,grip-close'], 'light-on,gr']);
+  assert.deepStrictEqual(shell.complete('stop b')[0], ['base']);
+});
@@ -0,0 +1,93 @@
+'use strict';
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var http = require('http');
+var test = require('node:test');
+var assert = require('assert');
+
+var serve = require('../lib/static');
+
+var root = fs.mkdtempSync(path.join(os.tmpdir(), 'owi535-'));
+fs.mkdirSync(path.join(root, 'public'));
+fs.writeFileSync(path.join(root, 'public', 'index.xhtml'), '<html/>');
+fs.writeFileSync(path.join(root, 'public', 'script.js'), '//script');
+fs.writeFileSync(path.join(root, 'secret.json'), '{}');
+
+var server = http.createServer(serve(path.join(root, 'public')));
+
+var request = function(method, pathname) {
+  return new Promise(function(resolve, reject) {
+    var req = http.request({
+      host: '127.0.0.1',
+      port: server.address().port,
+      method: method,
+      path: pathname
+    }, function(res) {
+      var body = '';
+      res.setEncoding('utf8');
+      res.on('data', function(chunk) {
+        body += chunk;
+      });
+      res.on('end', function() {
+        resolve({
+          status: res.statusCode,
+          type: res.headers['content-type'],
+          body: body
+        });
+      });
+    });
+    req.on('error', reject);
+    req.end();
+  });
+};
+
+test.before(function(t, done) {
+  server.listen(0, '127.0.0.1', done);
+});
+
+test.after(function() {
+  server.close();
+  fs.rmSync(root, {recursive: true});
+});
+
+test('serves index.xhtml for /', function() {
+  return request('GET', '/').then(function(res) {
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.type, 'application/xhtml+xml');
+    assert.strictEqual(res.body, '<html/>');
+  });
+});
+
+test('serves files with their type, HEAD without body', function() {
+  return request('HEAD', '/script.js').then(function(res) {
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.type, 'application/javascript');
+    assert.strictEqual(res.body, '');
+  });
+});
+
+test('serves nothing outside of its directory', function() {
+  return Promise.all([
+    request('GET', '/../secret.json'),
+    request('GET', '/%2e%2e/secret.json'),
+    request('GET', '/missing.js')
+  ]).then(function(responses) {
+    responses.forEach(function(res) {
+      assert.strictEqual(res.status, 404);
+    });
+  });
+});
+
+test('rejects invalid paths and methods', function() {
+  return Promise.all([
+    request('GET', '/%00'),
+    request('GET', '/%E0%A4%A'),
+    request('POST', '/')
+  ]).then(function(responses) {
+    assert.deepStrictEqual(responses.map(function(res) {
+      return res.status;
+    }), [400, 400, 405]);
+  });
+});